@@ -1,16 +1,21 @@
 // index.js
 const axios = require('axios');
 require('dotenv').config();
-const { Client, GatewayIntentBits, Events, REST, Routes, SlashCommandBuilder, AttachmentBuilder } = require('discord.js');
+const { Client, GatewayIntentBits, Events, REST, Routes, SlashCommandBuilder, AttachmentBuilder, ChannelType, PermissionFlagsBits } = require('discord.js');
 
-// for the confirmation button for /reset_ranks
-const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-const pendingResetConfirmations = new Map();
+// for the confirmation buttons of destructive admin commands
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { BigQuery } = require('@google-cloud/bigquery');
+const { Storage } = require('@google-cloud/storage');
 const schedule = require('node-schedule');
+const { PassThrough } = require('stream');
+
+// Pure-JS canvas for the leaderboard images (no native modules or browser needed on App Engine)
+const PImage = require('pureimage');
 
 // For App Engine health checks and update notifications
 const http = require('http');
@@ -18,12 +23,309 @@ const express = require('express');
 const app = express();
 const bodyParser = require('body-parser');
 
-// Add a queue for pending updates near the configuration section
-const updateQueue = [];
+// Directory for the bot's persistent state (update queue etc.)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Cloud Storage bucket the data directory is kept in. App Engine standard only has a /tmp that is wiped on every
+// restart, so there the stores are downloaded from the bucket on startup and every write is uploaded to it.
+const DATA_BUCKET = process.env.DATA_BUCKET || null;
+const DATA_BUCKET_PREFIX = 'discord-bot-ranks/';
+const BUCKET_UPLOAD_INTERVAL = 1000; // ms between two uploads of the same file, Cloud Storage allows about one write per second
+const BUCKET_RETRY_DELAY = 5000; // ms before a failed upload is tried again
+const dataBucket = DATA_BUCKET ? new Storage().bucket(DATA_BUCKET) : null;
+const bucketUploads = new Map(); // fileName -> { running, pending }
+
+// Refuse to start when the data can't be kept, rather than silently losing every change
+function ensureDataDirWritable() {
+    if (process.env.GAE_ENV === 'standard' && !DATA_BUCKET) {
+        console.error('DATA_BUCKET is not set, the data directory on App Engine standard is wiped on every restart');
+        process.exit(1);
+    }
+
+    try {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        const probePath = path.join(DATA_DIR, `.write-test-${process.pid}`);
+        fs.writeFileSync(probePath, '');
+        fs.unlinkSync(probePath);
+    } catch (error) {
+        console.error(`Data directory ${DATA_DIR} is not writable, set DATA_DIR to a writable directory:`, error);
+        process.exit(1);
+    }
+}
+
+ensureDataDirWritable();
+
+// Every store read with readJsonStore and its defaults, so startup can load them from the bucket
+const jsonStores = new Map(); // fileName -> { data, fallback }
+
+// Read a JSON file from the data directory, returning the fallback if it is missing or unreadable.
+// Keys the file doesn't have yet (it was saved by an older version) get their value from the fallback.
+function readJsonStore(fileName, fallback) {
+    let data = fallback;
+    try {
+        const filePath = path.join(DATA_DIR, fileName);
+        if (fs.existsSync(filePath)) {
+            data = { ...fallback, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+        }
+    } catch (error) {
+        console.error(`Error reading ${fileName} from data directory:`, error);
+    }
+    jsonStores.set(fileName, { data: data, fallback: JSON.parse(JSON.stringify(fallback)) });
+    return data;
+}
+
+// Replace the stores with their copies in the bucket. The objects are updated in place because the rest of the bot
+// holds on to them. Stores the bucket doesn't have yet are uploaded from the data directory.
+async function loadJsonStoresFromBucket() {
+    if (!dataBucket) {
+        return;
+    }
+
+    for (const [fileName, store] of jsonStores) {
+        const file = dataBucket.file(`${DATA_BUCKET_PREFIX}${fileName}`);
+        const [exists] = await file.exists();
+        if (!exists) {
+            if (fs.existsSync(path.join(DATA_DIR, fileName))) {
+                scheduleBucketUpload(fileName);
+            }
+            continue;
+        }
+
+        const [contents] = await file.download();
+        const stored = JSON.parse(contents.toString('utf8'));
+        for (const key of Object.keys(store.data)) {
+            delete store.data[key];
+        }
+        Object.assign(store.data, JSON.parse(JSON.stringify(store.fallback)), stored);
+        fs.writeFileSync(path.join(DATA_DIR, fileName), contents);
+        console.log(`Loaded ${fileName} from bucket ${DATA_BUCKET}`);
+    }
+}
+
+// Upload a store to the bucket after it was written. Writes that come in while an upload runs are
+// combined into one more upload of the latest contents.
+function scheduleBucketUpload(fileName) {
+    if (!dataBucket) {
+        return;
+    }
+
+    if (!bucketUploads.has(fileName)) {
+        bucketUploads.set(fileName, { running: false, pending: false });
+    }
+    const upload = bucketUploads.get(fileName);
+    upload.pending = true;
+    if (!upload.running) {
+        runBucketUpload(fileName, upload);
+    }
+}
+
+async function runBucketUpload(fileName, upload) {
+    upload.running = true;
+    while (upload.pending) {
+        upload.pending = false;
+        try {
+            const contents = fs.readFileSync(path.join(DATA_DIR, fileName));
+            await dataBucket.file(`${DATA_BUCKET_PREFIX}${fileName}`).save(contents, { contentType: 'application/json', resumable: false });
+            await new Promise(resolve => setTimeout(resolve, BUCKET_UPLOAD_INTERVAL));
+        } catch (error) {
+            console.error(`Error uploading ${fileName} to bucket ${DATA_BUCKET}, retrying:`, error);
+            upload.pending = true;
+            await new Promise(resolve => setTimeout(resolve, BUCKET_RETRY_DELAY));
+        }
+    }
+    upload.running = false;
+}
+
+// Wait for the uploads still running, used before the instance shuts down
+async function flushBucketUploads(timeout) {
+    const deadline = Date.now() + timeout;
+    while ([...bucketUploads.values()].some(upload => upload.running) && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+}
+
+// Write a JSON file to the data directory (write to a temp file first so a crash can't truncate it).
+// Errors are rethrown so the caller fails instead of carrying on with state that was never saved.
+function writeJsonStore(fileName, data) {
+    try {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        const filePath = path.join(DATA_DIR, fileName);
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        console.error(`Error writing ${fileName} to data directory:`, error);
+        throw error;
+    }
+    scheduleBucketUpload(fileName);
+}
+
+// Durable queue for match notifications, persisted so nothing is lost across restarts
+const UPDATE_QUEUE_FILE = 'update-queue.json';
+const QUEUE_MAX_ATTEMPTS = 8;
+const QUEUE_RETRY_BASE = 30; // seconds, doubled after every failed attempt
+const QUEUE_RETRY_MAX = 1800; // seconds
+const QUEUE_PROCESSED_HISTORY = 500; // delivered match ids remembered for deduplication
+const updateQueue = readJsonStore(UPDATE_QUEUE_FILE, { items: [], processedIds: [] });
+let queueProcessing = false;
+let queueRetryTimer = null;
 let botReady = false;
 
-// Parse JSON bodies
-app.use(bodyParser.json());
+// Every match payload received from the backend, newest last, for /history
+const MATCH_HISTORY_FILE = 'match-history.json';
+const MATCH_HISTORY_LIMIT = 2000;
+const matchHistory = readJsonStore(MATCH_HISTORY_FILE, { matches: [] });
+
+// Final standings of past seasons, archived by /reset_ranks before the ratings are reset
+const SEASONS_FILE = 'seasons.json';
+const SEASON_STANDINGS_SHOWN = 25; // players in the final standings message and /season standings
+const seasonArchive = readJsonStore(SEASONS_FILE, { seasons: [] });
+
+// Destructive admin actions waiting for confirmation, persisted so their buttons keep working across restarts
+const PENDING_ACTIONS_FILE = 'pending-actions.json';
+const CONFIRMATION_TTL = 5 * 60 * 1000; // ms before an unconfirmed action expires
+const APPROVAL_TTL = 30 * 60 * 1000; // ms a second admin has to approve a whole-database action
+const pendingActions = readJsonStore(PENDING_ACTIONS_FILE, { actions: {} });
+const pendingActionTimers = new Map();
+
+// Manual rating changes with the player's state before and after, for /audit and /revert
+const AUDIT_LOG_FILE = 'audit-log.json';
+const AUDIT_LOG_LIMIT = 2000;
+const AUDIT_RECENT_DEFAULT = 10;
+const auditLog = readJsonStore(AUDIT_LOG_FILE, { nextId: 1, entries: [] });
+
+// Discord account -> Steam ID links made with /link, plus verification codes waiting to be checked
+const ACCOUNT_LINKS_FILE = 'account-links.json';
+const LINK_CODE_TTL = 30 * 60 * 1000; // ms a verification code stays valid
+const accountLinks = readJsonStore(ACCOUNT_LINKS_FILE, { links: {}, pending: {} });
+// Links are only verified through the Steam profile name when we can query the Steam API
+const LINK_VERIFICATION_ENABLED = !!process.env.STEAM_API_KEY && process.env.LINK_VERIFICATION !== 'false';
+
+// Parse JSON bodies, keeping the raw bytes around so the signature can be checked
+app.use(bodyParser.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
+
+// Signed request settings for /update-rankings
+const SIGNATURE_MAX_AGE = 300; // seconds a signed request stays valid
+const seenNonces = new Map(); // nonce -> expiry (ms), used to reject replays
+
+// Verify the HMAC signature the backend sends with every update notification.
+// The signature is hex(HMAC-SHA256(secret, `${timestamp}.${nonce}.${rawBody}`)),
+// using the same BOT_INTERNAL_SECRET the bot sends to the backend as X-Bot-Secret.
+// Returns null when the request is valid, otherwise { status, message }.
+function verifyUpdateRequest(req) {
+    const secret = process.env.BOT_INTERNAL_SECRET;
+    if (!secret) {
+        console.error('BOT_INTERNAL_SECRET not configured, rejecting update request');
+        return { status: 503, message: 'Update endpoint is not configured' };
+    }
+
+    const signature = req.get('X-Bot-Signature');
+    const timestampHeader = req.get('X-Bot-Timestamp');
+    const nonce = req.get('X-Bot-Nonce');
+
+    if (!signature || !timestampHeader || !nonce) {
+        return { status: 401, message: 'Missing X-Bot-Signature, X-Bot-Timestamp or X-Bot-Nonce header' };
+    }
+
+    const timestamp = parseInt(timestampHeader, 10);
+    const now = Math.floor(Date.now() / 1000);
+    if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > SIGNATURE_MAX_AGE) {
+        return { status: 401, message: 'Request timestamp is missing or outside the allowed window' };
+    }
+
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${rawBody}`)
+    .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected, 'utf8');
+    const signatureBuffer = Buffer.from(String(signature).toLowerCase(), 'utf8');
+    if (expectedBuffer.length !== signatureBuffer.length || !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+        return { status: 401, message: 'Invalid signature' };
+    }
+
+    // Drop nonces that can no longer be replayed, then check this one
+    for (const [seenNonce, expiry] of seenNonces) {
+        if (expiry < Date.now()) {
+            seenNonces.delete(seenNonce);
+        }
+    }
+    if (seenNonces.has(nonce)) {
+        return { status: 409, message: 'Duplicate nonce, request was already processed' };
+    }
+    seenNonces.set(nonce, Date.now() + SIGNATURE_MAX_AGE * 2 * 1000);
+
+    return null;
+}
+
+// Check that a match payload has everything formatMatchResults needs.
+// Returns an array of problems, empty when the payload is usable.
+function validateMatchData(matchData) {
+    const errors = [];
+
+    if (typeof matchData !== 'object' || matchData === null || Array.isArray(matchData)) {
+        return ['Body must be a JSON object'];
+    }
+
+    for (const field of ['teams', 'team_ratings', 'expected_outcomes']) {
+        const value = matchData[field];
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            errors.push(`"${field}" must be an object keyed by team ("1" and "2")`);
+        }
+    }
+
+    if (String(matchData.winning_team) !== '1' && String(matchData.winning_team) !== '2') {
+        errors.push('"winning_team" must be 1 or 2');
+    }
+
+    if (matchData.timestamp !== undefined && !Number.isInteger(Number(matchData.timestamp))) {
+        errors.push('"timestamp" must be a unix timestamp in seconds');
+    }
+
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    for (const team of ['1', '2']) {
+        if (typeof matchData.team_ratings[team] !== 'number') {
+            errors.push(`"team_ratings.${team}" must be a number`);
+        }
+
+        const outcome = matchData.expected_outcomes[team];
+        if (typeof outcome !== 'number' || outcome < 0 || outcome > 1) {
+            errors.push(`"expected_outcomes.${team}" must be a number between 0 and 1`);
+        }
+
+        const players = matchData.teams[team];
+        if (!Array.isArray(players)) {
+            errors.push(`"teams.${team}" must be an array of players`);
+            continue;
+        }
+
+        players.forEach((player, index) => {
+            const label = `teams.${team}[${index}]`;
+            if (typeof player !== 'object' || player === null) {
+                errors.push(`"${label}" must be an object`);
+                return;
+            }
+            if (typeof player.name !== 'string' || player.name.length === 0) {
+                errors.push(`"${label}.name" must be a non-empty string`);
+            }
+            for (const field of ['old_rating', 'new_rating', 'delta']) {
+                if (typeof player[field] !== 'number') {
+                    errors.push(`"${label}.${field}" must be a number`);
+                }
+            }
+        });
+    }
+
+    return errors;
+}
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -35,30 +337,49 @@ app.get('/', (req, res) => {
 app.post('/update-rankings', async (req, res) => {
     console.log('Received update request from backend server');
 
+    // Reject anything that isn't signed by the backend
+    const authError = verifyUpdateRequest(req);
+    if (authError) {
+        console.warn(`Rejected update request: ${authError.message}`);
+        return res.status(authError.status).send(authError.message);
+    }
+
     try {
         // Check if we have match data
         const matchData = req.body;
         const hasMatchData = matchData && Object.keys(matchData).length > 0;
 
-        // If bot is not ready yet, queue the update
-        if (!botReady) {
-            console.log('Bot not ready, queuing update request');
-            updateQueue.push({
-                type: 'match',
-                data: hasMatchData ? matchData : null
-            });
-            return res.status(202).send('Update queued, bot is initializing');
+        // An empty body just triggers a ranks refresh, anything else must be a valid match
+        if (hasMatchData) {
+            const validationErrors = validateMatchData(matchData);
+            if (validationErrors.length > 0) {
+                console.warn(`Rejected invalid match data: ${validationErrors.join('; ')}`);
+                return res.status(400).json({ error: 'Invalid match data', details: validationErrors });
+            }
         }
 
-        // Process match data if available
+        // Persist the update before doing anything else so a crash can't lose it
+        const queuedItem = enqueueUpdate(hasMatchData ? matchData : null);
+        if (!queuedItem) {
+            return res.status(200).send('Duplicate match ignored');
+        }
+
+        // Keep the match for /history
         if (hasMatchData) {
-            console.log('Processing match data');
-            await sendMatchResults(matchData);
+            recordMatch(queuedItem.id, matchData);
         }
 
-        // Update all ranks channels
-        for (const channelId of ranksChannels) {
-            await updateRanks(channelId);
+        // If bot is not ready yet, the queue is drained once ClientReady fires
+        if (!botReady) {
+            console.log('Bot not ready, update queued');
+            return res.status(202).send('Update queued, bot is initializing');
+        }
+
+        await processUpdateQueue();
+
+        // Anything still in the queue failed to send and will be retried later
+        if (updateQueue.items.some(item => item.id === queuedItem.id)) {
+            return res.status(202).send('Update queued, it will be retried');
         }
 
         res.status(200).send('Rankings updated successfully');
@@ -68,11 +389,6 @@ app.post('/update-rankings', async (req, res) => {
     }
 });
 
-// Start the server
-const server = app.listen(process.env.PORT || 8080, () => {
-    console.log(`Server running on port ${process.env.PORT || 8080}`);
-});
-
 // Initialize Discord client with intents
 const client = new Client({
     intents: [
@@ -88,10 +404,178 @@ const bigqueryClient = new BigQuery({
 });
 
 // Configuration
-const configChannels = ['1246103921114746890', '1246088196475981866', '1271504921824333926'];
-const ranksChannels = ['1276850074428903435', '948052164226474024'];
-const matchResultsChannels = ['1344789867560833064'];
+// Channels and admin role from before per-guild settings existed, copied into the settings of the guilds they belong to on startup
+const LEGACY_CONFIG_CHANNELS = ['1246103921114746890', '1246088196475981866', '1271504921824333926'];
+const LEGACY_RANKS_CHANNELS = ['1276850074428903435', '948052164226474024'];
+const LEGACY_MATCH_RESULTS_CHANNELS = ['1344789867560833064'];
+const LEGACY_ADMIN_ROLE_ID = '1226974606687080598';
+// Guilds trusted with write access to the shared rankings table (comma separated), on top of the guild that owns the legacy admin role.
+// Admin roles and admin commands only work in these guilds, every other guild can only change how the bot shows the rankings.
+const TRUSTED_GUILD_IDS = (process.env.TRUSTED_GUILD_IDS || '').split(',').map(guildId => guildId.trim()).filter(guildId => guildId);
 const UPDATE_PERIOD = 150; // seconds
+
+// Per-guild settings changed with /config, plus the ranks board message IDs of every channel
+const GUILD_SETTINGS_FILE = 'guild-settings.json';
+// boardMessages has the ordered message IDs of the ranks board in each channel
+const guildSettings = readJsonStore(GUILD_SETTINGS_FILE, { guilds: {}, boardMessages: {} });
+
+function saveGuildSettings() {
+    writeJsonStore(GUILD_SETTINGS_FILE, guildSettings);
+}
+
+// Settings a new guild starts with
+const DEFAULT_LEADERBOARD_SIZE = 100;
+const MAX_LEADERBOARD_SIZE = 200;
+const DEFAULT_LOCALE = 'en-US';
+
+function createGuildSettings() {
+    return {
+        ranksChannels: [],
+        matchResultsChannels: [],
+        adminLogChannels: [],
+        auditChannels: [], // empty uses the admin log channels
+        adminRoleIds: [],
+        leaderboardSize: DEFAULT_LEADERBOARD_SIZE,
+        locale: DEFAULT_LOCALE,
+        minGamesDisplay: null, // null uses the K-value config's new player threshold
+        requireSecondApproval: false, // whole-database actions need a second admin to approve them
+        requireReason: false, // manual rating and nationality changes need a reason
+        onboarded: false
+    };
+}
+
+// Get the settings record of a guild, creating a default one if it has none yet
+function getGuildSettings(guildId) {
+    if (!guildSettings.guilds[guildId]) {
+        guildSettings.guilds[guildId] = createGuildSettings();
+    }
+
+    const settings = guildSettings.guilds[guildId];
+
+    // Records saved before onboarding existed belong to guilds that were already set up
+    if (!('onboarded' in settings)) {
+        settings.onboarded = true;
+    }
+    // Records saved before a setting existed get its default
+    for (const [key, value] of Object.entries(createGuildSettings())) {
+        if (!(key in settings)) {
+            settings[key] = value;
+        }
+    }
+    // Records from when a guild had a single admin role
+    if ('adminRoleId' in settings) {
+        if (settings.adminRoleId && !settings.adminRoleIds.includes(settings.adminRoleId)) {
+            settings.adminRoleIds.push(settings.adminRoleId);
+        }
+        delete settings.adminRoleId;
+    }
+
+    return settings;
+}
+
+// Whether manual changes made in a guild need a reason
+function isReasonRequired(guildId) {
+    return !!guildId && !!guildSettings.guilds[guildId] && getGuildSettings(guildId).requireReason;
+}
+
+// Minimum games a player needs to be listed on a guild's ranks board
+function getDisplayMinGames(settings) {
+    return settings.minGamesDisplay ?? (cachedKValueConfig?.thresholds?.newPlayer || 5);
+}
+
+// Give a guild without settings the legacy hardcoded channels and admin role that belong to it
+function migrateLegacySettings(guild) {
+    if (guildSettings.guilds[guild.id]) {
+        return;
+    }
+
+    const settings = getGuildSettings(guild.id);
+    settings.ranksChannels = LEGACY_RANKS_CHANNELS.filter(channelId => guild.channels.cache.has(channelId));
+    settings.matchResultsChannels = LEGACY_MATCH_RESULTS_CHANNELS.filter(channelId => guild.channels.cache.has(channelId));
+    settings.adminLogChannels = LEGACY_CONFIG_CHANNELS.filter(channelId => guild.channels.cache.has(channelId));
+    settings.adminRoleIds = guild.roles.cache.has(LEGACY_ADMIN_ROLE_ID) ? [LEGACY_ADMIN_ROLE_ID] : [];
+    // Guilds from the legacy configuration were set up by hand already, others still get the setup instructions
+    settings.onboarded = settings.ranksChannels.length > 0 || settings.matchResultsChannels.length > 0 ||
+    settings.adminLogChannels.length > 0 || settings.adminRoleIds.length > 0;
+    saveGuildSettings();
+
+    console.log(`Created settings for guild ${guild.name} from the legacy configuration`);
+}
+
+// Collect a channel list across every guild's settings
+function collectGuildChannels(key) {
+    const channels = new Set();
+    for (const settings of Object.values(guildSettings.guilds)) {
+        for (const channelId of settings[key] || []) {
+            channels.add(channelId);
+        }
+    }
+    return [...channels];
+}
+
+// Channels that show the ranks board
+function getRanksChannels() {
+    return collectGuildChannels('ranksChannels');
+}
+
+// Channels that receive match results
+function getMatchResultsChannels() {
+    return collectGuildChannels('matchResultsChannels');
+}
+
+// Channels where admin actions are announced and text commands are accepted, only in trusted guilds
+function getAdminLogChannels() {
+    const channels = new Set();
+    for (const [guildId, settings] of Object.entries(guildSettings.guilds)) {
+        if (!isTrustedGuild(guildId)) continue;
+        for (const channelId of settings.adminLogChannels || []) {
+            channels.add(channelId);
+        }
+    }
+    return [...channels];
+}
+
+// Channels of a guild that receive its audit log embeds: its audit channels, or its admin log channels if it has none
+function getAuditChannels(guildId) {
+    if (!guildId || !guildSettings.guilds[guildId]) {
+        return [];
+    }
+    const settings = getGuildSettings(guildId);
+    return settings.auditChannels.length > 0 ? settings.auditChannels : settings.adminLogChannels;
+}
+
+// Whether a guild may change the shared rankings: listed in TRUSTED_GUILD_IDS, or the guild the legacy admin role belongs to
+function isTrustedGuild(guildId) {
+    if (!guildId) {
+        return false;
+    }
+    if (TRUSTED_GUILD_IDS.includes(guildId)) {
+        return true;
+    }
+    const guild = client.guilds.cache.get(guildId);
+    return !!guild && guild.roles.cache.has(LEGACY_ADMIN_ROLE_ID);
+}
+
+// Check whether a guild member has one of the admin roles configured for their guild (trusted guilds only)
+function isAdminMember(member) {
+    if (!member || !member.roles || !member.guild || !guildSettings.guilds[member.guild.id] || !isTrustedGuild(member.guild.id)) {
+        return false;
+    }
+    const settings = getGuildSettings(member.guild.id);
+    return settings.adminRoleIds.some(roleId => member.roles.cache.has(roleId));
+}
+
+// Check whether a guild member can change the bot's settings: admins, and server managers of guilds without admins.
+// In a trusted guild that is only until the first admin role is set, from then on only its admins can change the settings.
+function canManageConfig(member) {
+    if (isAdminMember(member)) {
+        return true;
+    }
+    if (!member || !member.guild || !member.permissions || !member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+        return false;
+    }
+    return !isTrustedGuild(member.guild.id) || getGuildSettings(member.guild.id).adminRoleIds.length === 0;
+}
 // K-value configuration cache
 let cachedKValueConfig = {
     thresholds: { newPlayer: 5, developingPlayer: 15 },
@@ -105,7 +589,8 @@ let cachedKValueConfig = {
 
 
 // Modify the getRanks function in the Discord bot (index.js) to include pastgames field
-async function getRanks() {
+// The board's size, min games and number format come from the settings of the guild it is posted in
+async function getRanks(settings = createGuildSettings()) {
     const query = `
     SELECT name, steamid, elo, timestamp, nationality, pastgames
     FROM (
@@ -115,7 +600,6 @@ async function getRanks() {
     )
     WHERE rn = 1
     ORDER BY elo DESC
-    LIMIT 100
     `;
 
     // Execute the query
@@ -127,26 +611,29 @@ async function getRanks() {
 
     let resultString = `The Ranks, as of ${discordTimestamp}.\n`;
 
-    // Use the cached K-value config instead of fetching it every time
-    const minGames = cachedKValueConfig?.thresholds?.newPlayer || 5;
+    const minGames = getDisplayMinGames(settings);
+    const numberFormat = new Intl.NumberFormat(settings.locale);
 
     // Filter and number the qualified players
     let rank = 1;
     rows.forEach((row) => {
         const pastGames = row.pastgames || 0;
 
-        // Only include players with enough games
-        if (pastGames >= minGames) {
+        // Only include players with enough games, up to the guild's board size
+        if (pastGames >= minGames && rank <= settings.leaderboardSize) {
             const prefix = row.nationality ? `${row.nationality}` : '';
-            resultString += `${rank}. ${prefix} ${row.name} ${row.elo}\n`;
+            resultString += `${rank}. ${prefix} ${row.name} ${numberFormat.format(row.elo)}\n`;
             rank++;
         }
     });
 
     resultString += '\nRanking Information'
     resultString += '\n• Rankings are calculated from Ranked Games'
-    resultString += `\n• Message an admin to change your emoji.`;
-    resultString += `\n• Players with fewer than ${minGames} games are unranked.`;
+    resultString += `\n• Change your flag with /nationality request.`;
+    resultString += `\n• Players with fewer than ${cachedKValueConfig?.thresholds?.newPlayer || 5} games are unranked.`;
+    if (settings.minGamesDisplay !== null) {
+        resultString += `\n• Only players with ${minGames}+ games are shown here.`;
+    }
     resultString += `\n• Rating can't go below ${cachedKValueConfig.defaultElo}.`;
     resultString += `\n• Check your rating with /rank steamid: YourSteamID`;
 
@@ -192,6 +679,58 @@ async function getAllRanksData() {
     return processedRows;
 }
 
+// Cached copy of getAllRanksData() for autocomplete and the board image, refreshed on every update cycle
+let cachedRanksData = [];
+
+async function refreshRanksCache() {
+    try {
+        cachedRanksData = await getAllRanksData();
+    } catch (error) {
+        console.error('Error refreshing ranks cache:', error);
+    }
+    return cachedRanksData;
+}
+
+// Refresh the ranks cache once, then redraw the board in every ranks channel
+async function updateAllRanks() {
+    await refreshRanksCache();
+    for (const channelId of getRanksChannels()) {
+        await updateRanks(channelId);
+    }
+}
+
+// Score how well a player matches what the user typed so far (0 = no match)
+function scorePlayerMatch(player, query) {
+    const name = player.name.toLowerCase();
+    if (player.steamid.startsWith(query)) return 4;
+    if (name.startsWith(query)) return 3;
+    if (name.includes(query)) return 2;
+
+    // Letters typed in order with gaps, e.g. "jdo" matches "John Doe"
+    let position = 0;
+    for (const char of query) {
+        position = name.indexOf(char, position);
+        if (position === -1) return 0;
+        position++;
+    }
+    return 1;
+}
+
+// Autocomplete choices for player options: "name (elo) – steamid", the value is always the Steam ID
+function getPlayerAutocompleteChoices(query) {
+    const search = query.trim().toLowerCase();
+
+    return cachedRanksData
+    .map(player => ({ player: player, score: search ? scorePlayerMatch(player, search) : 1 }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || b.player.elo - a.player.elo)
+    .slice(0, 25)
+    .map(({ player }) => ({
+        name: `${player.name} (${player.elo}) – ${player.steamid}`.substring(0, 100),
+        value: player.steamid
+    }));
+}
+
 // Get player rank by Steam ID
 async function getPlayerRank(steamId) {
     try {
@@ -209,752 +748,4744 @@ async function getPlayerRank(steamId) {
     }
 }
 
-// Store message IDs for each channel
-const messageCache = {};
+// Get every recorded rating of a player, oldest first.
+// Each change to a player inserts a new row, so the table doubles as their rating history.
+async function getRatingHistory(steamId) {
+    const query = `
+    SELECT elo, timestamp, pastgames
+    FROM \`bplrankings.Main.rankings\`
+    WHERE steamid = @steamid
+    ORDER BY timestamp ASC
+    `;
 
-// Update ranks in a channel
-async function updateRanks(channelId) {
-    try {
-        const channel = await client.channels.fetch(channelId);
-        if (!channel) {
-            console.error(`Channel ${channelId} not found`);
-            return;
-        }
+    const [rows] = await bigqueryClient.query({
+        query: query,
+        params: { steamid: steamId },
+        types: { steamid: 'STRING' }
+    });
 
-        const ranksMessage = await getRanks();
+    return rows.map(row => ({
+        elo: Number(row.elo),
+        timestamp: Number(row.timestamp),
+        pastgames: row.pastgames || 0
+    }));
+}
 
-        // Check if we already have a message to edit in this channel
-        if (messageCache[channelId]) {
-            try {
-                // Try to fetch the existing message
-                const existingMessage = await channel.messages.fetch(messageCache[channelId]);
-                if (existingMessage) {
-                    // Edit the existing message if found
-                    await existingMessage.edit(ranksMessage);
-                    const timestamp = new Date().toISOString();
-                    console.log(`[${timestamp}] Updated ranks in channel ${channelId}`);
-                    return existingMessage;
-                }
-            } catch (err) {
-                // Message not found or could not be edited - we'll create a new one
-                console.log(`Could not find previous message, creating new one: ${err.message}`);
-                delete messageCache[channelId];
-            }
+// Summarize a rating history: change over the last 7 and 30 days, peak and lowest rating
+function summarizeRatingHistory(history, currentElo) {
+    if (history.length === 0) {
+        return null;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+
+    // Rating at a point in time is the last row recorded before it (or the first row for newer players)
+    const ratingAt = (timestamp) => {
+        let rating = history[0].elo;
+        for (const entry of history) {
+            if (entry.timestamp > timestamp) break;
+            rating = entry.elo;
         }
+        return rating;
+    };
 
-        // If we don't have a cached message or couldn't edit it, send a new one
-        const message = await channel.send(ranksMessage);
-        const timestamp = new Date().toISOString();
-        console.log(`[${timestamp}] Sent new ranks message to channel ${channelId}`);
+    const ratings = [...history.map(entry => entry.elo), currentElo];
 
-        // Store the message ID for future updates
-        messageCache[channelId] = message.id;
-        return message;
-    } catch (error) {
-        console.error(`Error updating ranks in channel ${channelId}:`, error);
-    }
+    return {
+        change7d: currentElo - ratingAt(now - 7 * 86400),
+        change30d: currentElo - ratingAt(now - 30 * 86400),
+        peak: Math.max(...ratings),
+        lowest: Math.min(...ratings)
+    };
 }
 
-// Update nationality in BigQuery
-// Update the updateNationality function in index.js to include pastgames
-async function updateNationality(steamid, newNationality, channelId) {
-    console.log(`Trying to switch nationality of ${steamid} to ${newNationality}`);
+// Elo expected score of a side rated ratingA against a side rated ratingB (same formula as the backend)
+function expectedScore(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
 
-    try {
-        // First query to get the existing record
-        const selectQuery = `
-        SELECT *
-        FROM \`Main.rankings\`
-        WHERE steamid = @steamid
-        ORDER BY timestamp DESC
-        LIMIT 1
-        `;
+// Format a rating change with its sign, e.g. +25 or -10
+function formatRatingChange(change) {
+    return change > 0 ? `+${change}` : `${change}`;
+}
+
+// Work out a player's status tier from their games played, using the cached K-value config.
+// Also returns how far along they are towards the next tier.
+function getPlayerStatus(pastGames) {
+    const kValueConfig = cachedKValueConfig;
+    const minGames = kValueConfig?.thresholds?.newPlayer || 5;
+    const devGames = kValueConfig?.thresholds?.developingPlayer || 15;
 
-        const selectOptions = {
-            query: selectQuery,
-            params: { steamid: steamid }
+    if (pastGames >= devGames) {
+        return {
+            tier: 'established',
+            status: "Established Player",
+            kValue: kValueConfig?.kValues?.establishedPlayer || 30,
+            minGames: minGames,
+            nextTier: null,
+            gamesToNextTier: 0,
+            progress: 1
         };
+    }
 
-        const [rows] = await bigqueryClient.query(selectOptions);
-
-        if (rows.length > 0) {
-            const selectedRow = rows[0];
-
-            // Insert query with the updated nationality, preserving pastgames
-            const insertQuery = `
-            INSERT INTO \`Main.rankings\` (name, steamid, elo, timestamp, nationality, pastgames)
-            VALUES (@name, @steamid, @elo, @timestamp, @nationality, @pastgames)
-            `;
-
-            const insertOptions = {
-                query: insertQuery,
-                params: {
-                    name: selectedRow.name,
-                    steamid: selectedRow.steamid,
-                    elo: selectedRow.elo,
-                    timestamp: Math.floor(Date.now() / 1000),
-                    nationality: newNationality.toLowerCase() === "null" ? null : newNationality,
-                    pastgames: selectedRow.pastgames || 0  // Preserve pastgames or default to 0
-                },
-                types: {
-                    name: 'STRING',
-                    steamid: 'STRING',
-                    elo: 'INT64',
-                    timestamp: 'INT64',
-                    nationality: 'STRING',
-                    pastgames: 'INT64'
-                }
-            };
+    if (pastGames >= minGames) {
+        return {
+            tier: 'developing',
+            status: "Developing Player",
+            kValue: kValueConfig?.kValues?.developingPlayer || 60,
+            minGames: minGames,
+            nextTier: "Established Player",
+            gamesToNextTier: devGames - pastGames,
+            progress: (pastGames - minGames) / (devGames - minGames)
+        };
+    }
 
-            const [insertResponse] = await bigqueryClient.query(insertOptions);
+    return {
+        tier: 'new',
+        status: "New Player (Unranked)",
+        kValue: kValueConfig?.kValues?.newPlayer || 120,
+        minGames: minGames,
+        nextTier: "Developing Player",
+        gamesToNextTier: minGames - pastGames,
+        progress: pastGames / minGames
+    };
+}
 
-            const channel = await client.channels.fetch(channelId);
-            const resultMessage = `Switched nationality for steamid ${steamid} to ${newNationality}.`;
-            console.log(resultMessage);
-            await channel.send(resultMessage);
+// Steam IDs are stored as steamId64, e.g. 76561198000000000
+function isValidSteamId64(steamId) {
+    return /^7656\d{13}$/.test(steamId);
+}
 
-            // Update the ranks in the ranks channels instead of the config channel
-            for (const ranksChannelId of ranksChannels) {
-                await updateRanks(ranksChannelId);
-            }
-            return true;
-        } else {
-            const channel = await client.channels.fetch(channelId);
-            const resultMessage = `Steamid ${steamid} not in database.`;
-            console.log(resultMessage);
-            await channel.send(resultMessage);
-            return false;
-        }
-    } catch (error) {
-        const channel = await client.channels.fetch(channelId);
-        const resultMessage = `Exceptions happening: ${error.message}`;
-        console.log(resultMessage);
-        await channel.send(resultMessage);
-        return false;
+// Get the Steam ID a Discord user linked with /link, or null
+function getLinkedSteamId(userId) {
+    return accountLinks.links[userId]?.steamid || null;
+}
+
+// Find which Discord user a Steam ID is linked to, or null
+function findUserLinkedTo(steamId) {
+    const entry = Object.entries(accountLinks.links).find(([, link]) => link.steamid === steamId);
+    return entry ? entry[0] : null;
+}
+
+// Link a Discord user to a Steam ID, replacing any previous link of either side
+function setAccountLink(userId, steamId, { verified = false, linkedBy = userId } = {}) {
+    const previousOwner = findUserLinkedTo(steamId);
+    if (previousOwner) {
+        delete accountLinks.links[previousOwner];
     }
+
+    accountLinks.links[userId] = {
+        steamid: steamId,
+        verified: verified,
+        linkedBy: linkedBy,
+        linkedAt: Date.now()
+    };
+    delete accountLinks.pending[userId];
+    writeJsonStore(ACCOUNT_LINKS_FILE, accountLinks);
 }
 
-// Set up periodic updates
-function setupPeriodicUpdates() {
-    // Using node-schedule instead of setInterval for better reliability
-    const rule = new schedule.RecurrenceRule();
-    rule.second = new schedule.Range(0, 59, UPDATE_PERIOD);
+// Remove a Discord user's link, returns the Steam ID they were linked to (or null)
+function removeAccountLink(userId) {
+    const steamId = getLinkedSteamId(userId);
+    delete accountLinks.links[userId];
+    delete accountLinks.pending[userId];
+    writeJsonStore(ACCOUNT_LINKS_FILE, accountLinks);
+    return steamId;
+}
 
-    schedule.scheduleJob(rule, async () => {
-        const timestamp = new Date().toISOString();
-        console.log(`[${timestamp}] Running scheduled rank updates`);
-        for (const channelId of ranksChannels) {
-            await updateRanks(channelId);
-        }
+// Find the player a Discord user is: their linked Steam ID if they have one,
+// otherwise a guess by matching their username against player names
+function findPlayerForDiscordUser(user, allRanks) {
+    const linkedSteamId = getLinkedSteamId(user.id);
+    if (linkedSteamId) {
+        return allRanks.find(player => player.steamid === linkedSteamId) || null;
+    }
+
+    const discordName = user.username.toLowerCase();
+    return allRanks.find(player => player.name.toLowerCase().includes(discordName)) || null;
+}
+
+// Explain why findPlayerForDiscordUser came up empty for a user
+function describeMissingSelf(user) {
+    const linkedSteamId = getLinkedSteamId(user.id);
+    if (linkedSteamId) {
+        return `Your linked Steam ID (${linkedSteamId}) is not in the rankings yet.`;
+    }
+    return `Could not match your Discord username (${user.username}) to any player in the rankings. Use /link to link your Steam ID.`;
+}
+
+// Leaderboard pagination settings for /leaderboard
+const LEADERBOARD_DEFAULT_PAGE_SIZE = 10;
+const LEADERBOARD_MIN_PAGE_SIZE = 10;
+const LEADERBOARD_MAX_PAGE_SIZE = 25;
+
+// Apply the /leaderboard filters to the full ranks data (only ranked players are listed)
+function filterLeaderboardPlayers(allRanks, filters) {
+    return allRanks.filter(player => {
+        if (player.rank === -1) return false;
+        if (filters.minGames && (player.pastgames || 0) < filters.minGames) return false;
+        if (filters.nationality && player.nationality !== filters.nationality) return false;
+        return true;
     });
 }
 
-// Update the commands array - we'll register the reset command only to specific guilds with role checks
-const globalCommands = [
-    new SlashCommandBuilder()
-    .setName('rank')
-    .setDescription('Check your or another player\'s rank')
-    .addStringOption(option =>
-    option.setName('steamid')
-    .setDescription('Steam ID of the player to check (leave empty to check by name)')
-    .setRequired(false))
-    .addStringOption(option =>
-    option.setName('name')
-    .setDescription('Name of the player to check (partial names work)')
-    .setRequired(false))
-];
+// Build the embed and buttons for one page of the leaderboard.
+// The page state is encoded in the button custom IDs so it survives restarts:
+// leaderboard_<action>_<userId>_<page>_<pageSize>_<minGames>_<nationality or ->
+function buildLeaderboardPage(allRanks, filters, page, userId, highlightSteamId = null) {
+    const players = filterLeaderboardPlayers(allRanks, filters);
+    const pageSize = filters.pageSize;
+    const pageCount = Math.max(1, Math.ceil(players.length / pageSize));
+    const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+    const pagePlayers = players.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+
+    const lines = pagePlayers.map((player, index) => {
+        const prefix = player.nationality ? `${player.nationality} ` : '';
+        // Country boards number the players within the country and keep the overall rank alongside
+        const position = filters.nationality ?
+        `**${currentPage * pageSize + index + 1}.** (#${player.rank})` :
+        `**#${player.rank}**`;
+        const line = `${position} ${prefix}${player.name} — ${player.elo} (${player.pastgames || 0} games)`;
+        return player.steamid === highlightSteamId ? `▶ ${line}` : line;
+    });
 
-const adminCommands = [
-    new SlashCommandBuilder()
-    .setName('reset_ranks')
-    .setDescription('Reset all player ranks to a default value (Admin only)')
-    .addIntegerOption(option =>
-    option.setName('default_elo')
-    .setDescription('Default ELO value to reset to (default: 2000)')
-    .setRequired(false)),
+    const filterText = [];
+    if (filters.nationality) filterText.push(`nationality ${filters.nationality}`);
+    if (filters.minGames) filterText.push(`${filters.minGames}+ games`);
+
+    const leaderboardEmbed = {
+        color: getRankColor(pagePlayers.length > 0 ? pagePlayers[0].rank : 100),
+        title: filters.nationality ?
+        `BPL Leaderboard — ${filters.nationality} ${parseNationality(filters.nationality)?.name || ''}`.trim() :
+        'BPL Leaderboard',
+        description: lines.length > 0 ? lines.join('\n') : 'No ranked players match these filters.',
+        timestamp: new Date(),
+        footer: {
+            text: `Page ${currentPage + 1}/${pageCount} | ${players.length} players${filterText.length > 0 ? ` | Filters: ${filterText.join(', ')}` : ''}`,
+        },
+    };
+
+    const state = `${userId}_${currentPage}_${pageSize}_${filters.minGames || 0}_${filters.nationality || '-'}`;
+
+    const previousButton = new ButtonBuilder()
+    .setCustomId(`leaderboard_prev_${state}`)
+    .setLabel('Previous')
+    .setStyle(ButtonStyle.Secondary)
+    .setDisabled(currentPage === 0);
+
+    const nextButton = new ButtonBuilder()
+    .setCustomId(`leaderboard_next_${state}`)
+    .setLabel('Next')
+    .setStyle(ButtonStyle.Secondary)
+    .setDisabled(currentPage >= pageCount - 1);
+
+    const meButton = new ButtonBuilder()
+    .setCustomId(`leaderboard_me_${state}`)
+    .setLabel('Jump to me')
+    .setStyle(ButtonStyle.Primary);
+
+    const row = new ActionRowBuilder()
+    .addComponents(previousButton, nextButton, meButton);
+
+    return { embeds: [leaderboardEmbed], components: [row] };
+}
 
-    // Add the new set_elo command
-    new SlashCommandBuilder()
-    .setName('set_elo_zero')
-    .setDescription('Set a player\'s ELO to 0 (Admin only)')
-    .addStringOption(option =>
-    option.setName('steamid')
-    .setDescription('Steam ID of the player')
-    .setRequired(false))
-    .addStringOption(option =>
-    option.setName('name')
-    .setDescription('Name of the player (partial names work)')
-    .setRequired(false)),
+// Discord rejects messages longer than this
+const DISCORD_MESSAGE_LIMIT = 2000;
+// The first message of every ranks board starts with this, used to find boards after a restart
+const RANKS_BOARD_HEADER = 'The Ranks, as of';
+
+// Split text into chunks that fit in a Discord message, breaking on line boundaries
+function splitMessage(text, limit = DISCORD_MESSAGE_LIMIT) {
+    const chunks = [];
+    let current = '';
+
+    for (const line of text.split('\n')) {
+        // A single line longer than the limit has to be cut
+        const pieces = [];
+        for (let i = 0; i < Math.max(line.length, 1); i += limit) {
+            pieces.push(line.substring(i, i + limit));
+        }
 
-    // Add the new set_rating command
-    new SlashCommandBuilder()
-    .setName('set_rating')
-    .setDescription('Set a player\'s rating to a specific value (Admin only)')
-    .addStringOption(option =>
-    option.setName('steamid')
-    .setDescription('Steam ID of the player')
-    .setRequired(true))
-    .addIntegerOption(option =>
-    option.setName('rating')
-    .setDescription('New rating value to set')
-    .setRequired(true))
-    .addIntegerOption(option =>
-    option.setName('pastgames')
-    .setDescription('Number of past games (optional)')
-    .setRequired(false))
-];
+        for (const piece of pieces) {
+            const candidate = current.length > 0 ? `${current}\n${piece}` : piece;
+            if (candidate.length > limit) {
+                chunks.push(current);
+                current = piece;
+            } else {
+                current = candidate;
+            }
+        }
+    }
 
-const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+    if (current.trim().length > 0) {
+        chunks.push(current);
+    }
 
-// Register global commands
-async function registerGlobalCommands() {
-    try {
-        console.log('Started refreshing global application (/) commands.');
+    return chunks;
+}
 
-        await rest.put(
-            Routes.applicationCommands(client.user.id),
-                       { body: globalCommands },
-        );
+// Last rendered ranks board image, shared by all ranks channels
+let ranksImageCache = { key: null, buffer: null };
+// Which image each channel's board currently shows, so unchanged images aren't uploaded again
+const ranksImageKeys = {};
 
-        console.log('Successfully reloaded global application (/) commands.');
-    } catch (error) {
-        console.error('Error refreshing global commands:', error);
+// Get the image for the ranks board, re-rendering only when the top players changed.
+// Returns { key, buffer }, or null if images are disabled or rendering failed.
+async function getRanksBoardImage() {
+    if (!RANKS_IMAGE_ENABLED) {
+        return null;
     }
-}
 
-// Register guild-specific commands
-async function registerGuildCommands(guild) {
     try {
-        console.log(`Checking guild ${guild.name} for admin role...`);
-
-        // Check if this guild has the admin role
-        const adminRole = guild.roles.cache.get(ADMIN_ROLE_ID);
-
-        if (adminRole) {
-            console.log(`Guild ${guild.name} has the admin role, registering admin commands`);
-
-            await rest.put(
-                Routes.applicationGuildCommands(client.user.id, guild.id),
-                           { body: adminCommands },
-            );
-
-            console.log(`Successfully registered admin commands for guild ${guild.name}`);
-        } else {
-            console.log(`Guild ${guild.name} does not have the admin role, clearing guild commands`);
+        // Drawn from the ranks cache, which updateAllRanks refreshes once per update cycle
+        const topPlayers = cachedRanksData.filter(player => player.rank !== -1).slice(0, RANKS_IMAGE_PLAYERS);
+        const key = JSON.stringify(topPlayers.map(player => [player.steamid, player.name, player.elo, player.nationality, player.pastgames]));
 
-            // Clear any guild-specific commands
-            await rest.put(
-                Routes.applicationGuildCommands(client.user.id, guild.id),
-                           { body: [] },
-            );
+        if (ranksImageCache.key !== key) {
+            ranksImageCache = { key: key, buffer: await renderLeaderboardImage(topPlayers) };
         }
+        return ranksImageCache;
     } catch (error) {
-        console.error(`Error managing guild commands for ${guild.name}:`, error);
+        console.error('Error rendering ranks board image:', error);
+        return null;
     }
 }
 
-// Handle messages
-client.on(Events.MessageCreate, async (message) => {
-    const channelId = message.channelId;
+// Find the messages of an existing ranks board in a channel, oldest first
+async function findExistingRanksMessages(channel) {
+    const messages = await channel.messages.fetch({ limit: 50 });
+    const botMessages = [...messages.values()]
+    .filter(msg => msg.author.id === client.user.id)
+    .sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+
+    // The board is the most recent header message plus the bot messages that follow it
+    let headerIndex = -1;
+    botMessages.forEach((msg, index) => {
+        if (msg.content.startsWith(RANKS_BOARD_HEADER)) {
+            headerIndex = index;
+        }
+    });
 
-    // Check if the message is from a monitored channel
-    if (configChannels.includes(channelId)) {
-        const content = message.content;
+    return headerIndex === -1 ? [] : botMessages.slice(headerIndex);
+}
 
-        // Handle update command
-        if (content.startsWith('update now')) {
-            // Refresh the K-value configuration
-            await fetchKValueConfig();
+// Update ranks in a channel
+async function updateRanks(channelId) {
+    try {
+        const channel = await client.channels.fetch(channelId);
+        if (!channel) {
+            console.error(`Channel ${channelId} not found`);
+            return;
+        }
 
-            // Update all ranks channels
-            for (const ranksChannelId of ranksChannels) {
-                await updateRanks(ranksChannelId);
+        const settings = channel.guildId ? getGuildSettings(channel.guildId) : createGuildSettings();
+        const ranksChunks = splitMessage(await getRanks(settings));
+        const boardImage = await getRanksBoardImage();
+
+        // Message payload for each part of the board, the image goes on the first message
+        const buildPayload = (index, isNewMessage) => {
+            const payload = { content: ranksChunks[index] };
+            if (index === 0 && boardImage && (isNewMessage || ranksImageKeys[channelId] !== boardImage.key)) {
+                payload.files = [new AttachmentBuilder(boardImage.buffer, { name: 'ranks.png' })];
+                payload.attachments = [];
+            }
+            return payload;
+        };
+
+        // Fetch the messages of the board we posted before, if any
+        const existingMessages = [];
+        for (const messageId of guildSettings.boardMessages[channelId] || []) {
+            try {
+                existingMessages.push(await channel.messages.fetch(messageId));
+            } catch (err) {
+                // Message not found - the board is broken, we'll post a new one
+                console.log(`Could not find previous message, creating new board: ${err.message}`);
+                existingMessages.push(null);
             }
-            await message.channel.send('K-value config refreshed and update made in all ranks channels.');
         }
 
-        // Handle nationality change command
-        if (content.startsWith('change nationality of')) {
-            const parts = content.split(' ');
-            if (parts.length >= 6 && parts[4] === 'to') {
-                const steamid = parts[3];
-                const newNationality = parts.slice(5).join(' ');
-                await updateNationality(steamid, newNationality, channelId);
+        if (existingMessages.length > 0 && !existingMessages.includes(null)) {
+            // Edit the existing messages in place, adding or removing messages if the board changed size
+            const messageIds = [];
+            for (let i = 0; i < ranksChunks.length; i++) {
+                if (existingMessages[i]) {
+                    await existingMessages[i].edit(buildPayload(i, false));
+                    messageIds.push(existingMessages[i].id);
+                } else {
+                    const message = await channel.send(buildPayload(i, true));
+                    messageIds.push(message.id);
+                }
             }
+            for (const extraMessage of existingMessages.slice(ranksChunks.length)) {
+                await extraMessage.delete().catch(err => console.log(`Could not delete old ranks message: ${err.message}`));
+            }
+
+            guildSettings.boardMessages[channelId] = messageIds;
+            saveGuildSettings();
+            ranksImageKeys[channelId] = boardImage ? boardImage.key : null;
+            const timestamp = new Date().toISOString();
+            console.log(`[${timestamp}] Updated ranks in channel ${channelId} (${messageIds.length} messages)`);
+            return;
         }
 
-        // Add a debug command to verify project settings
-        if (content === 'check project') {
-            const projectInfo = `Using Google Cloud project: Name: BPLRankings, Project ID: ${bigqueryClient.projectId}, Number: 805958038734`;
-            await message.channel.send(projectInfo);
+        // Clean up what is left of a broken board so the new one stays in order
+        for (const oldMessage of existingMessages) {
+            if (oldMessage) {
+                await oldMessage.delete().catch(err => console.log(`Could not delete old ranks message: ${err.message}`));
+            }
         }
-    }
-});
 
-// Get color based on player rank
-function getRankColor(rank) {
-    if (rank <= 3) return 0xFFD700;      // Gold for top 3
-    if (rank <= 10) return 0xC0C0C0;     // Silver for top 10
-    if (rank <= 20) return 0xCD7F32;     // Bronze for top 20
-    return 0x0099FF;                     // Blue for everyone else
+        // If we don't have a cached board or couldn't edit it, send a new one
+        const messageIds = [];
+        for (let i = 0; i < ranksChunks.length; i++) {
+            const message = await channel.send(buildPayload(i, true));
+            messageIds.push(message.id);
+        }
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] Sent new ranks board to channel ${channelId} (${messageIds.length} messages)`);
+
+        // Store the message IDs for future updates
+        guildSettings.boardMessages[channelId] = messageIds;
+        saveGuildSettings();
+        ranksImageKeys[channelId] = boardImage ? boardImage.key : null;
+    } catch (error) {
+        console.error(`Error updating ranks in channel ${channelId}:`, error);
+    }
 }
 
-// Modify the ClientReady event to process queued updates after initialization
-client.once(Events.ClientReady, async (readyClient) => {
-    console.log(`Ready! Logged in as ${readyClient.user.tag}`);
+// ISO 3166-1 alpha-2 codes that have a flag emoji
+const COUNTRY_CODES = (
+    'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW BY BZ ' +
+    'CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET EU FI FJ FK FM FO FR ' +
+    'GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP ' +
+    'KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT ' +
+    'MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW ' +
+    'SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG ' +
+    'UM UN US UY UZ VA VC VE VG VI VN VU WF WS XK YE YT ZA ZM ZW'
+).split(' ');
+
+// Flags of the UK nations, written as emoji tag sequences instead of two letters
+const SUBDIVISION_FLAGS = {
+    'GB-ENG': { tag: 'gbeng', name: 'England' },
+    'GB-SCT': { tag: 'gbsct', name: 'Scotland' },
+    'GB-WLS': { tag: 'gbwls', name: 'Wales' },
+};
 
-    // Fetch the K-value configuration on startup
-    await fetchKValueConfig();
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
 
-    // Register global commands
-    await registerGlobalCommands();
+// Flag emoji of a country code, e.g. DE -> 🇩🇪 or GB-ENG -> the England flag
+function countryCodeToFlag(code) {
+    const subdivision = SUBDIVISION_FLAGS[code];
+    if (subdivision) {
+        return String.fromCodePoint(0x1F3F4, ...[...subdivision.tag].map(char => 0xE0000 + char.charCodeAt(0)), 0xE007F);
+    }
+    return String.fromCodePoint(...[...code].map(char => 0x1F1E6 + char.charCodeAt(0) - 65));
+}
 
-    // For each guild the bot is in, check for admin role and register admin commands if needed
-    for (const guild of readyClient.guilds.cache.values()) {
-        await registerGuildCommands(guild);
+function getCountryName(code) {
+    return SUBDIVISION_FLAGS[code]?.name || regionNames.of(code);
+}
+
+// Every flag a player can pick, as { code, name, flag }
+const COUNTRY_FLAGS = [...COUNTRY_CODES, ...Object.keys(SUBDIVISION_FLAGS)]
+.map(code => ({ code: code, name: getCountryName(code), flag: countryCodeToFlag(code) }))
+.sort((a, b) => a.name.localeCompare(b.name));
+
+// Turn a flag emoji, country code (de, GB-ENG), :flag_de: shortcode or country name into { code, name, flag }.
+// Returns null if it isn't a known flag.
+function parseNationality(input) {
+    const value = (input || '').trim();
+    if (!value) {
+        return null;
     }
 
-    // Fetch existing messages in ranks channels to see if we should edit them
-    try {
-        for (const channelId of ranksChannels) {
-            const channel = await client.channels.fetch(channelId);
-            if (channel) {
-                // Get the most recent messages
-                const messages = await channel.messages.fetch({ limit: 10 });
-
-                // Find the most recent message from this bot
-                const botMessage = messages.find(msg => msg.author.id === client.user.id);
-                if (botMessage) {
-                    // Store this message ID for future edits
-                    messageCache[channelId] = botMessage.id;
-                    console.log(`Found existing bot message in channel ${channelId}: ${botMessage.id}`);
-                }
-            }
-        }
-    } catch (error) {
-        console.error('Error fetching existing messages:', error);
+    const byFlag = COUNTRY_FLAGS.find(country => country.flag === value);
+    if (byFlag) {
+        return byFlag;
     }
 
-    setupPeriodicUpdates();
+    const code = value.replace(/^:flag_(\w+):$/i, '$1').replace(/_/g, '-').toUpperCase();
+    const byCode = COUNTRY_FLAGS.find(country => country.code === code);
+    if (byCode) {
+        return byCode;
+    }
 
-    // Set bot as ready and process any queued updates
-    botReady = true;
+    return COUNTRY_FLAGS.find(country => country.name.toLowerCase() === value.toLowerCase()) || null;
+}
 
-    if (updateQueue.length > 0) {
-        console.log(`Found ${updateQueue.length} queued updates, processing now`);
-        await processUpdateQueue();
-    }
-});
+// Autocomplete choices for a flag option, the value is the country code
+function getNationalityChoices(query) {
+    const search = (query || '').trim().toLowerCase();
+    return COUNTRY_FLAGS
+    .filter(country => !search || country.name.toLowerCase().includes(search) || country.code.toLowerCase() === search)
+    .slice(0, 25)
+    .map(country => ({ name: `${country.flag} ${country.name} (${country.code})`, value: country.code }));
+}
 
-// Function to get Steam avatar URL from Steam ID
-async function getSteamAvatar(steamId) {
-    // If the Steam API key is not provided, return null
-    if (!process.env.STEAM_API_KEY) {
-        console.warn('STEAM_API_KEY not found in environment variables');
+// The flag to filter players by, from a flag, country code or name. Unknown values are kept as typed
+// so older custom emoji still match.
+function normalizeNationalityFilter(input) {
+    const value = (input || '').trim();
+    if (!value) {
         return null;
     }
+    return parseNationality(value)?.flag || value;
+}
 
-    try {
-        // Convert steamId to steamId64 if needed (if it's not already in that format)
-        let steamId64 = steamId;
-        if (!steamId.startsWith('7656')) {
-            // This is a simplified conversion, in reality it would need more logic
-            // for different Steam ID formats
-            console.warn('SteamID is not in steamId64 format, using fallback image');
-            return null;
+// Ranked players grouped by flag: player count, average and top-5 average rating and best player per country
+function buildCountryStandings(allRanks) {
+    const countries = new Map();
+    for (const player of allRanks) {
+        if (player.rank === -1 || !player.nationality) continue;
+        if (!countries.has(player.nationality)) {
+            countries.set(player.nationality, []);
         }
+        countries.get(player.nationality).push(player);
+    }
 
-        // Call the Steam API to get player info
-        const response = await axios.get(`https://api.steampowered.com/ISteamUser/GetPlayerSummaries/v2/?key=${process.env.STEAM_API_KEY}&steamids=${steamId64}`);
+    const average = (players) => Math.round(players.reduce((sum, player) => sum + player.elo, 0) / players.length);
 
-        // Check if we got a valid response with player data
-        if (response.data &&
-            response.data.response &&
-            response.data.response.players &&
-            response.data.response.players.length > 0) {
+    return [...countries.entries()].map(([flag, players]) => {
+        // allRanks is sorted by rating, so the first players are the country's best
+        return {
+            flag: flag,
+            name: parseNationality(flag)?.name || 'Unknown',
+            players: players.length,
+            average: average(players),
+            top5Average: average(players.slice(0, 5)),
+            best: players[0]
+        };
+    });
+}
 
-            const player = response.data.response.players[0];
+// Sort keys for /countries
+const COUNTRY_SORTS = {
+    top5: (a, b) => b.top5Average - a.top5Average || b.players - a.players,
+    average: (a, b) => b.average - a.average || b.players - a.players,
+    players: (a, b) => b.players - a.players || b.top5Average - a.top5Average,
+};
 
-        // Return the avatar URL (medium size)
-        return player.avatarmedium || player.avatar || null;
-            }
+// Set (or clear, with null) a player's nationality in BigQuery.
+// Returns the audit entry, or null if the Steam ID isn't in the database.
+async function updateNationality(steamid, newNationality, actor, options = {}) {
+    console.log(`Trying to switch nationality of ${steamid} to ${newNationality}`);
 
-            return null;
-    } catch (error) {
-        console.error('Error fetching Steam avatar:', error.message);
+    const selectedRow = await getLatestPlayerRow(steamid);
+    if (!selectedRow) {
+        console.log(`Steamid ${steamid} not in database.`);
         return null;
     }
-}
 
-// Update the formatMatchResults function to use K-value config
-async function formatMatchResults(matchData) {
-    if (!matchData || !matchData.teams) {
-        return "Error: Invalid match data";
-    }
+    // Insert query with the updated nationality, preserving pastgames
+    const insertQuery = `
+    INSERT INTO \`Main.rankings\` (name, steamid, elo, timestamp, nationality, pastgames)
+    VALUES (@name, @steamid, @elo, @timestamp, @nationality, @pastgames)
+    `;
 
-    // Use the cached K-value config instead of fetching it every time
-    const kValueConfig = cachedKValueConfig;
+    const insertOptions = {
+        query: insertQuery,
+        params: {
+            name: selectedRow.name,
+            steamid: selectedRow.steamid,
+            elo: selectedRow.elo,
+            timestamp: Math.floor(Date.now() / 1000),
+            nationality: newNationality,
+            pastgames: selectedRow.pastgames || 0  // Preserve pastgames or default to 0
+        },
+        types: {
+            name: 'STRING',
+            steamid: 'STRING',
+            elo: 'INT64',
+            timestamp: 'INT64',
+            nationality: 'STRING',
+            pastgames: 'INT64'
+        }
+    };
 
-    const winningTeam = matchData.winning_team;
-    const timestamp = matchData.timestamp ? `<t:${matchData.timestamp}:F>` : "Unknown time";
-    const team1Rating = matchData.team_ratings["1"];
-    const team2Rating = matchData.team_ratings["2"];
-    const team1WinChance = (matchData.expected_outcomes["1"] * 100).toFixed(1);
-    const team2WinChance = (matchData.expected_outcomes["2"] * 100).toFixed(1);
+    await bigqueryClient.query(insertOptions);
 
-    let resultString = `# Match Results (${timestamp})\n\n`;
-    resultString += `## 🏆 **Team ${winningTeam} Victory**\n\n`;
+    const auditEntry = recordAuditEntry('nationality', actor, steamid, snapshotPlayerRow(selectedRow), {
+        ...snapshotPlayerRow(selectedRow),
+        nationality: newNationality
+    }, { reason: options.reason || null, guildId: options.guildId || null });
 
-    // Team info
-    resultString += `**Team 1** (Rating: ${team1Rating}, Win Chance: ${team1WinChance}%)\n`;
-    resultString += `**Team 2** (Rating: ${team2Rating}, Win Chance: ${team2WinChance}%)\n\n`;
+    console.log(`Switched nationality for steamid ${steamid} to ${newNationality}. (action #${auditEntry.id})`);
+    await postAuditEntry(auditEntry);
 
-    // Create a table for each team with player stats
-    resultString += `### Team 1 Players\n`;
-    if (matchData.teams["1"].length === 0) {
-        resultString += "No players\n";
-    } else {
-        resultString += "```\n";
-        resultString += "Player           | Before | After | Change | K  | Games \n";
-        resultString += "-----------------|--------|-------|--------|----|---------\n";
+    if (options.notify) {
+        await notifyLinkedPlayer(steamid, `Your BPL nationality has been ${newNationality ? `set to ${newNationality}` : 'cleared'}.${options.reason ? `\nReason: ${options.reason}` : ''}`);
+    }
 
-        matchData.teams["1"].forEach(player => {
-            const name = player.name.padEnd(16).substring(0, 16);
-            const oldRating = String(player.old_rating).padEnd(7);
-            const newRating = String(player.new_rating).padEnd(6);
-            const delta = player.delta > 0 ? `+${player.delta}`.padEnd(7) : String(player.delta).padEnd(7);
-            const kValue = String(player.k_value || "32").padEnd(3);
-            const games = String(player.pastgames || "?");
-            resultString += `${name} | ${oldRating}| ${newRating}| ${delta}| ${kValue}| ${games}\n`;
-        });
+    // Update the ranks in the ranks channels
+    await updateAllRanks();
+    return auditEntry;
+}
 
-        resultString += "```\n";
+// Apply a /nationality set or clear for a resolved player. The interaction must already be replied to or deferred.
+async function applyNationalityCommand(interaction, playerData, context) {
+    const auditEntry = await updateNationality(playerData.steamid, context.flag, interaction.user, { ...context, guildId: interaction.guildId });
+    if (!auditEntry) {
+        await interaction.editReply({ content: `Steam ID ${playerData.steamid} is not in the database.`, components: [] });
+        return;
     }
 
-    resultString += `### Team 2 Players\n`;
-    if (matchData.teams["2"].length === 0) {
-        resultString += "No players\n";
-    } else {
-        resultString += "```\n";
-        resultString += "Player           | Before | After | Change | K  | Games \n";
-        resultString += "-----------------|--------|-------|--------|----|---------\n";
-
+    await interaction.editReply({
+        content: context.flag ?
+        `✅ Nationality of **${playerData.name}** set to ${context.flag}. (action #${auditEntry.id})` :
+        `✅ Nationality of **${playerData.name}** cleared. (action #${auditEntry.id})`,
+        components: []
+    });
+}
+
+// Player requests for a nationality change, waiting for an admin to approve them
+const NATIONALITY_REQUESTS_FILE = 'nationality-requests.json';
+const nationalityRequests = readJsonStore(NATIONALITY_REQUESTS_FILE, { requests: {}, lastRequestAt: {} });
+const NATIONALITY_REQUEST_COOLDOWN = 10 * 60 * 1000; // ms between two requests of the same user
+const decidingNationalityRequests = new Set(); // requests an admin is deciding right now
+
+function saveNationalityRequests() {
+    // Cooldowns that ran out don't need to be kept
+    for (const [userId, requestedAt] of Object.entries(nationalityRequests.lastRequestAt)) {
+        if (Date.now() - requestedAt >= NATIONALITY_REQUEST_COOLDOWN) {
+            delete nationalityRequests.lastRequestAt[userId];
+        }
+    }
+    writeJsonStore(NATIONALITY_REQUESTS_FILE, nationalityRequests);
+}
+
+// Update every admin channel message of a request once it has been decided
+async function closeNationalityRequestMessages(request, content) {
+    for (const { channelId, messageId } of request.messages) {
+        try {
+            const channel = await client.channels.fetch(channelId);
+            const message = await channel.messages.fetch(messageId);
+            await message.edit({ content: content, components: [] });
+        } catch (error) {
+            console.error(`Error updating nationality request message in channel ${channelId}:`, error);
+        }
+    }
+}
+
+// Set up periodic updates
+function setupPeriodicUpdates() {
+    // Using node-schedule instead of setInterval for better reliability
+    const rule = new schedule.RecurrenceRule();
+    rule.second = new schedule.Range(0, 59, UPDATE_PERIOD);
+
+    schedule.scheduleJob(rule, async () => {
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] Running scheduled rank updates`);
+        await updateAllRanks();
+    });
+}
+
+// Update the commands array - we'll register the reset command only to specific guilds with role checks
+const globalCommands = [
+    new SlashCommandBuilder()
+    .setName('rank')
+    .setDescription('Check your or another player\'s rank')
+    .addStringOption(option =>
+    option.setName('steamid')
+    .setDescription('Steam ID of the player to check (leave empty to check by name)')
+    .setAutocomplete(true)
+    .setRequired(false))
+    .addStringOption(option =>
+    option.setName('name')
+    .setDescription('Name of the player to check (partial names work)')
+    .setAutocomplete(true)
+    .setRequired(false))
+    .addBooleanOption(option =>
+    option.setName('card')
+    .setDescription('Show the stats as a shareable image card')
+    .setRequired(false)),
+
+    new SlashCommandBuilder()
+    .setName('link')
+    .setDescription('Link your Discord account to your Steam ID')
+    .addStringOption(option =>
+    option.setName('steamid')
+    .setDescription('Your Steam ID (steamId64, starts with 7656)')
+    .setRequired(true)),
+
+    new SlashCommandBuilder()
+    .setName('unlink')
+    .setDescription('Remove the link between your Discord account and Steam ID'),
+
+    new SlashCommandBuilder()
+    .setName('history')
+    .setDescription('Show a player\'s recent matches')
+    .addStringOption(option =>
+    option.setName('player')
+    .setDescription('Name or Steam ID of the player (leave empty for yourself)')
+    .setAutocomplete(true)
+    .setRequired(false))
+    .addIntegerOption(option =>
+    option.setName('count')
+    .setDescription('Number of matches to show (default 10)')
+    .setMinValue(1)
+    .setMaxValue(20)
+    .setRequired(false)),
+
+    new SlashCommandBuilder()
+    .setName('compare')
+    .setDescription('Compare two players head to head')
+    .addStringOption(option =>
+    option.setName('player1')
+    .setDescription('Name or Steam ID of the first player')
+    .setAutocomplete(true)
+    .setRequired(true))
+    .addStringOption(option =>
+    option.setName('player2')
+    .setDescription('Name or Steam ID of the second player')
+    .setAutocomplete(true)
+    .setRequired(true)),
+
+    new SlashCommandBuilder()
+    .setName('balance')
+    .setDescription('Split players into two even teams')
+    .addStringOption(option =>
+    option.setName('players')
+    .setDescription('Comma separated names or Steam IDs, and/or @mentions of linked users')
+    .setRequired(true)),
+
+    new SlashCommandBuilder()
+    .setName('predict')
+    .setDescription('Predict the outcome and rating changes of a match between two teams')
+    .addStringOption(option =>
+    option.setName('team1')
+    .setDescription('Team 1: comma separated names or Steam IDs, and/or @mentions')
+    .setRequired(true))
+    .addStringOption(option =>
+    option.setName('team2')
+    .setDescription('Team 2: comma separated names or Steam IDs, and/or @mentions')
+    .setRequired(true)),
+
+    new SlashCommandBuilder()
+    .setName('leaderboard')
+    .setDescription('Browse the ranked players page by page')
+    .addIntegerOption(option =>
+    option.setName('page_size')
+    .setDescription(`Players per page (${LEADERBOARD_MIN_PAGE_SIZE}-${LEADERBOARD_MAX_PAGE_SIZE}, default ${LEADERBOARD_DEFAULT_PAGE_SIZE})`)
+    .setMinValue(LEADERBOARD_MIN_PAGE_SIZE)
+    .setMaxValue(LEADERBOARD_MAX_PAGE_SIZE)
+    .setRequired(false))
+    .addStringOption(option =>
+    option.setName('nationality')
+    .setDescription('Only show players with this flag (emoji, country code or name)')
+    .setAutocomplete(true)
+    .setRequired(false))
+    .addIntegerOption(option =>
+    option.setName('min_games')
+    .setDescription('Only show players with at least this many games')
+    .setMinValue(0)
+    .setRequired(false))
+    .addBooleanOption(option =>
+    option.setName('ephemeral')
+    .setDescription('Only show the leaderboard to you')
+    .setRequired(false))
+    .addBooleanOption(option =>
+    option.setName('image')
+    .setDescription('Show the first page as an image card')
+    .setRequired(false)),
+
+    new SlashCommandBuilder()
+    .setName('nationality')
+    .setDescription('Change the flag shown next to a player')
+    .addSubcommand(subcommand =>
+    subcommand.setName('set')
+    .setDescription('Set a player\'s flag (Admin only)')
+    .addStringOption(option =>
+    option.setName('player')
+    .setDescription('Name or Steam ID of the player')
+    .setAutocomplete(true)
+    .setRequired(true))
+    .addStringOption(option =>
+    option.setName('flag')
+    .setDescription('Flag emoji, country code or country name')
+    .setAutocomplete(true)
+    .setRequired(true))
+    .addStringOption(option =>
+    option.setName('reason')
+    .setDescription('Why the change is made, shown in the audit log')
+    .setMaxLength(300)
+    .setRequired(false))
+    .addBooleanOption(option =>
+    option.setName('notify_player')
+    .setDescription('DM the player about the change if their Discord account is linked')
+    .setRequired(false)))
+    .addSubcommand(subcommand =>
+    subcommand.setName('clear')
+    .setDescription('Remove a player\'s flag (Admin only)')
+    .addStringOption(option =>
+    option.setName('player')
+    .setDescription('Name or Steam ID of the player')
+    .setAutocomplete(true)
+    .setRequired(true))
+    .addStringOption(option =>
+    option.setName('reason')
+    .setDescription('Why the change is made, shown in the audit log')
+    .setMaxLength(300)
+    .setRequired(false))
+    .addBooleanOption(option =>
+    option.setName('notify_player')
+    .setDescription('DM the player about the change if their Discord account is linked')
+    .setRequired(false)))
+    .addSubcommand(subcommand =>
+    subcommand.setName('request')
+    .setDescription('Ask the admins to change your flag')
+    .addStringOption(option =>
+    option.setName('flag')
+    .setDescription('Flag emoji, country code or country name')
+    .setAutocomplete(true)
+    .setRequired(true))),
+
+    new SlashCommandBuilder()
+    .setName('countries')
+    .setDescription('Rank the countries by the ratings of their ranked players')
+    .addStringOption(option =>
+    option.setName('sort')
+    .setDescription('What to rank the countries by (default: top-5 average)')
+    .addChoices(
+        { name: 'Top-5 average rating', value: 'top5' },
+        { name: 'Average rating', value: 'average' },
+        { name: 'Number of players', value: 'players' }
+    )
+    .setRequired(false))
+    .addIntegerOption(option =>
+    option.setName('min_players')
+    .setDescription('Only show countries with at least this many ranked players')
+    .setMinValue(1)
+    .setRequired(false)),
+
+    new SlashCommandBuilder()
+    .setName('season')
+    .setDescription('Browse past seasons')
+    .addSubcommand(subcommand =>
+    subcommand.setName('list')
+    .setDescription('List the archived seasons'))
+    .addSubcommand(subcommand =>
+    subcommand.setName('standings')
+    .setDescription('Show the final standings of a season')
+    .addStringOption(option =>
+    option.setName('season')
+    .setDescription('Name of the season')
+    .setAutocomplete(true)
+    .setRequired(true)))
+];
+
+// /config is registered in every guild so server managers can set the bot up
+// /config settings that give access to the shared rankings, only available in trusted guilds
+const TRUSTED_CONFIG_OPTIONS = ['admin_role', 'admin_log_channel', 'audit_channel', 'require_reason', 'second_approval'];
+
+const configCommand = new SlashCommandBuilder()
+.setName('config')
+.setDescription('Configure the bot for this server (Admin or Manage Server only)')
+.addSubcommand(subcommand =>
+subcommand.setName('show')
+.setDescription('Show this server\'s settings'))
+.addSubcommandGroup(group =>
+group.setName('ranks_channel')
+.setDescription('Channels that show the ranks board')
+.addSubcommand(subcommand =>
+subcommand.setName('add')
+.setDescription('Show the ranks board in a channel')
+.addChannelOption(option =>
+option.setName('channel')
+.setDescription('Channel to add')
+.addChannelTypes(ChannelType.GuildText)
+.setRequired(true)))
+.addSubcommand(subcommand =>
+subcommand.setName('remove')
+.setDescription('Stop showing the ranks board in a channel')
+.addChannelOption(option =>
+option.setName('channel')
+.setDescription('Channel to remove')
+.addChannelTypes(ChannelType.GuildText)
+.setRequired(true))))
+.addSubcommandGroup(group =>
+group.setName('match_results_channel')
+.setDescription('Channels that receive match results')
+.addSubcommand(subcommand =>
+subcommand.setName('add')
+.setDescription('Post match results in a channel')
+.addChannelOption(option =>
+option.setName('channel')
+.setDescription('Channel to add')
+.addChannelTypes(ChannelType.GuildText)
+.setRequired(true)))
+.addSubcommand(subcommand =>
+subcommand.setName('remove')
+.setDescription('Stop posting match results in a channel')
+.addChannelOption(option =>
+option.setName('channel')
+.setDescription('Channel to remove')
+.addChannelTypes(ChannelType.GuildText)
+.setRequired(true))))
+.addSubcommandGroup(group =>
+group.setName('admin_log_channel')
+.setDescription('Channels where admin actions are announced')
+.addSubcommand(subcommand =>
+subcommand.setName('add')
+.setDescription('Announce admin actions in a channel')
+.addChannelOption(option =>
+option.setName('channel')
+.setDescription('Channel to add')
+.addChannelTypes(ChannelType.GuildText)
+.setRequired(true)))
+.addSubcommand(subcommand =>
+subcommand.setName('remove')
+.setDescription('Stop announcing admin actions in a channel')
+.addChannelOption(option =>
+option.setName('channel')
+.setDescription('Channel to remove')
+.addChannelTypes(ChannelType.GuildText)
+.setRequired(true))))
+.addSubcommandGroup(group =>
+group.setName('audit_channel')
+.setDescription('Channels that receive the audit log (the admin log channels are used if empty)')
+.addSubcommand(subcommand =>
+subcommand.setName('add')
+.setDescription('Post the audit log in a channel')
+.addChannelOption(option =>
+option.setName('channel')
+.setDescription('Channel to add')
+.addChannelTypes(ChannelType.GuildText)
+.setRequired(true)))
+.addSubcommand(subcommand =>
+subcommand.setName('remove')
+.setDescription('Stop posting the audit log in a channel')
+.addChannelOption(option =>
+option.setName('channel')
+.setDescription('Channel to remove')
+.addChannelTypes(ChannelType.GuildText)
+.setRequired(true))))
+.addSubcommandGroup(group =>
+group.setName('admin_role')
+.setDescription('Roles allowed to use the admin commands')
+.addSubcommand(subcommand =>
+subcommand.setName('add')
+.setDescription('Allow a role to use the admin commands')
+.addRoleOption(option =>
+option.setName('role')
+.setDescription('Role to add')
+.setRequired(true)))
+.addSubcommand(subcommand =>
+subcommand.setName('remove')
+.setDescription('Stop a role from using the admin commands')
+.addRoleOption(option =>
+option.setName('role')
+.setDescription('Role to remove')
+.setRequired(true))))
+.addSubcommand(subcommand =>
+subcommand.setName('leaderboard_size')
+.setDescription('Number of players shown on the ranks board')
+.addIntegerOption(option =>
+option.setName('size')
+.setDescription(`Players to show (1-${MAX_LEADERBOARD_SIZE})`)
+.setMinValue(1)
+.setMaxValue(MAX_LEADERBOARD_SIZE)
+.setRequired(true)))
+.addSubcommand(subcommand =>
+subcommand.setName('min_games')
+.setDescription('Games a player needs to be shown on the ranks board and /leaderboard')
+.addIntegerOption(option =>
+option.setName('games')
+.setDescription('Minimum games, leave empty to use the ranked threshold')
+.setMinValue(0)
+.setRequired(false)))
+.addSubcommand(subcommand =>
+subcommand.setName('locale')
+.setDescription('Locale used to format numbers on the ranks board')
+.addStringOption(option =>
+option.setName('locale')
+.setDescription('Locale code, e.g. en-US, de-DE or fr-FR')
+.setRequired(true)))
+.addSubcommand(subcommand =>
+subcommand.setName('require_reason')
+.setDescription('Require a reason for manual rating, ELO and nationality changes')
+.addBooleanOption(option =>
+option.setName('enabled')
+.setDescription('Whether a reason is required')
+.setRequired(true)))
+.addSubcommand(subcommand =>
+subcommand.setName('second_approval')
+.setDescription('Require a second admin to approve whole-database actions like /reset_ranks')
+.addBooleanOption(option =>
+option.setName('enabled')
+.setDescription('Whether a second admin has to approve')
+.setRequired(true)));
+
+const adminCommands = [
+    configCommand,
+
+    new SlashCommandBuilder()
+    .setName('reset_ranks')
+    .setDescription('Reset all player ranks to a default value (Admin only)')
+    .addIntegerOption(option =>
+    option.setName('default_elo')
+    .setDescription('Default ELO value to reset to (default: 2000)')
+    .setRequired(false))
+    .addStringOption(option =>
+    option.setName('season_name')
+    .setDescription('Name to archive the current standings under (default: Season N)')
+    .setMaxLength(50)
+    .setRequired(false))
+    .addBooleanOption(option =>
+    option.setName('export_csv')
+    .setDescription('Attach the current standings as a CSV backup to the confirmation')
+    .setRequired(false)),
+
+    // Add the new set_elo command
+    new SlashCommandBuilder()
+    .setName('set_elo_zero')
+    .setDescription('Set a player\'s ELO to 0 (Admin only)')
+    .addStringOption(option =>
+    option.setName('steamid')
+    .setDescription('Steam ID of the player')
+    .setAutocomplete(true)
+    .setRequired(false))
+    .addStringOption(option =>
+    option.setName('name')
+    .setDescription('Name of the player (partial names work)')
+    .setAutocomplete(true)
+    .setRequired(false))
+    .addStringOption(option =>
+    option.setName('reason')
+    .setDescription('Why the change is made, shown in the audit log and on the player\'s /rank')
+    .setMaxLength(300)
+    .setRequired(false))
+    .addBooleanOption(option =>
+    option.setName('notify_player')
+    .setDescription('DM the player about the change if their Discord account is linked')
+    .setRequired(false)),
+
+    // Add the new set_rating command
+    new SlashCommandBuilder()
+    .setName('set_rating')
+    .setDescription('Set a player\'s rating to a specific value (Admin only)')
+    .addStringOption(option =>
+    option.setName('steamid')
+    .setDescription('Steam ID of the player')
+    .setAutocomplete(true)
+    .setRequired(true))
+    .addIntegerOption(option =>
+    option.setName('rating')
+    .setDescription('New rating value to set')
+    .setRequired(true))
+    .addIntegerOption(option =>
+    option.setName('pastgames')
+    .setDescription('Number of past games (optional)')
+    .setRequired(false))
+    .addStringOption(option =>
+    option.setName('reason')
+    .setDescription('Why the change is made, shown in the audit log and on the player\'s /rank')
+    .setMaxLength(300)
+    .setRequired(false))
+    .addBooleanOption(option =>
+    option.setName('notify_player')
+    .setDescription('DM the player about the change if their Discord account is linked')
+    .setRequired(false)),
+
+    new SlashCommandBuilder()
+    .setName('link_user')
+    .setDescription('Link a Discord user to a Steam ID (Admin only)')
+    .addUserOption(option =>
+    option.setName('user')
+    .setDescription('Discord user to link')
+    .setRequired(true))
+    .addStringOption(option =>
+    option.setName('steamid')
+    .setDescription('Steam ID to link (leave empty to remove their link)')
+    .setAutocomplete(true)
+    .setRequired(false)),
+
+    new SlashCommandBuilder()
+    .setName('queue_status')
+    .setDescription('Show pending and failed match updates (Admin only)')
+    .addBooleanOption(option =>
+    option.setName('retry_failed')
+    .setDescription('Put failed updates back in the queue')
+    .setRequired(false)),
+
+    new SlashCommandBuilder()
+    .setName('revert')
+    .setDescription('Undo a manual rating, ELO or nationality change (Admin only)')
+    .addIntegerOption(option =>
+    option.setName('action_id')
+    .setDescription('Number of the action, see /audit recent')
+    .setMinValue(1)
+    .setRequired(true)),
+
+    new SlashCommandBuilder()
+    .setName('audit')
+    .setDescription('Show the manual changes made by admins (Admin only)')
+    .addSubcommand(subcommand =>
+    subcommand.setName('recent')
+    .setDescription('Show the most recent manual changes')
+    .addIntegerOption(option =>
+    option.setName('count')
+    .setDescription(`Number of actions to show (default ${AUDIT_RECENT_DEFAULT})`)
+    .setMinValue(1)
+    .setMaxValue(25)
+    .setRequired(false)))
+    .addSubcommand(subcommand =>
+    subcommand.setName('player')
+    .setDescription('Show the manual changes made to a player')
+    .addStringOption(option =>
+    option.setName('player')
+    .setDescription('Name or Steam ID of the player')
+    .setAutocomplete(true)
+    .setRequired(true))
+    .addIntegerOption(option =>
+    option.setName('count')
+    .setDescription(`Number of actions to show (default ${AUDIT_RECENT_DEFAULT})`)
+    .setMinValue(1)
+    .setMaxValue(25)
+    .setRequired(false)))
+    .addSubcommand(subcommand =>
+    subcommand.setName('actor')
+    .setDescription('Show the manual changes made by an admin')
+    .addUserOption(option =>
+    option.setName('actor')
+    .setDescription('Admin who made the changes')
+    .setRequired(true))
+    .addIntegerOption(option =>
+    option.setName('count')
+    .setDescription(`Number of actions to show (default ${AUDIT_RECENT_DEFAULT})`)
+    .setMinValue(1)
+    .setMaxValue(25)
+    .setRequired(false))),
+
+    new SlashCommandBuilder()
+    .setName('players')
+    .setDescription('Search players by rating, games, flag and name (Admin only)')
+    .addStringOption(option =>
+    option.setName('name')
+    .setDescription('Part of the name, or a pattern with * and ? wildcards')
+    .setRequired(false))
+    .addIntegerOption(option =>
+    option.setName('min_elo')
+    .setDescription('Lowest rating')
+    .setRequired(false))
+    .addIntegerOption(option =>
+    option.setName('max_elo')
+    .setDescription('Highest rating')
+    .setRequired(false))
+    .addIntegerOption(option =>
+    option.setName('min_games')
+    .setDescription('Fewest games played')
+    .setMinValue(0)
+    .setRequired(false))
+    .addIntegerOption(option =>
+    option.setName('max_games')
+    .setDescription('Most games played')
+    .setMinValue(0)
+    .setRequired(false))
+    .addStringOption(option =>
+    option.setName('nationality')
+    .setDescription('Flag (emoji, country code or name), or "none" for players without a flag')
+    .setAutocomplete(true)
+    .setRequired(false))
+    .addBooleanOption(option =>
+    option.setName('unranked_only')
+    .setDescription('Only players who are not ranked yet')
+    .setRequired(false))
+    .addBooleanOption(option =>
+    option.setName('csv')
+    .setDescription('Attach all matching players as a CSV file')
+    .setRequired(false))
+];
+
+const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+
+// Register global commands
+async function registerGlobalCommands() {
+    try {
+        console.log('Started refreshing global application (/) commands.');
+
+        await rest.put(
+            Routes.applicationCommands(client.user.id),
+                       { body: globalCommands },
+        );
+
+        console.log('Successfully reloaded global application (/) commands.');
+    } catch (error) {
+        console.error('Error refreshing global commands:', error);
+    }
+}
+
+// Setup instructions sent when the bot joins a guild
+function buildOnboardingMessage(guild) {
+    const trusted = isTrustedGuild(guild.id);
+    return [
+        `Thanks for adding the BPL Rankings bot to **${guild.name}**!`,
+        '',
+        'Anyone with the Manage Server permission can set it up with `/config`:',
+        ...(trusted ? ['• `/config admin_role add` - roles that can use the admin commands'] : []),
+        '• `/config ranks_channel add` - channels that show the live ranks board',
+        '• `/config match_results_channel add` - channels that receive match results',
+        ...(trusted ? [
+            '• `/config admin_log_channel add` - channels where admin actions are announced',
+            '• `/config audit_channel add` - a dedicated channel for the audit log of rating changes'
+        ] : []),
+        '• `/config leaderboard_size`, `/config min_games` and `/config locale` - how the ranks board looks',
+        ...(trusted ? [
+            '• `/config second_approval` - require a second admin to approve `/reset_ranks`',
+            '• `/config require_reason` - require a reason for manual rating changes'
+        ] : []),
+        '• `/config show` - the current settings',
+        '',
+        'Commands like `/rank`, `/leaderboard` and `/history` work straight away.'
+    ].join('\n');
+}
+
+// Send the setup instructions of a new guild to its owner, or to the guild if the owner can't be messaged
+async function onboardGuild(guild) {
+    const settings = getGuildSettings(guild.id);
+    if (settings.onboarded) {
+        return;
+    }
+
+    const content = buildOnboardingMessage(guild);
+    let delivered = false;
+
+    try {
+        const owner = await guild.fetchOwner();
+        await owner.send({ content: content });
+        delivered = true;
+        console.log(`Sent setup instructions for guild ${guild.name} to its owner`);
+    } catch (error) {
+        console.log(`Could not message the owner of guild ${guild.name}: ${error.message}`);
+    }
+
+    if (!delivered) {
+        // Fall back to the system channel, or the first text channel the bot can post in
+        const channels = [guild.systemChannel, ...guild.channels.cache.values()]
+        .filter(channel => channel && channel.type === ChannelType.GuildText);
+
+        for (const channel of channels) {
+            const permissions = channel.permissionsFor(guild.members.me);
+            if (!permissions || !permissions.has(PermissionFlagsBits.SendMessages)) {
+                continue;
+            }
+            try {
+                await channel.send({ content: content });
+                delivered = true;
+                console.log(`Posted setup instructions for guild ${guild.name} in channel ${channel.id}`);
+                break;
+            } catch (error) {
+                console.log(`Could not post setup instructions in channel ${channel.id}: ${error.message}`);
+            }
+        }
+    }
+
+    settings.onboarded = delivered;
+    saveGuildSettings();
+}
+
+// Register guild-specific commands
+async function registerGuildCommands(guild) {
+    try {
+        console.log(`Checking guild ${guild.name} for admin role...`);
+
+        // Check if this guild is trusted and has one of the admin roles from its settings
+        const adminRole = getGuildSettings(guild.id).adminRoleIds
+        .map(roleId => guild.roles.cache.get(roleId))
+        .find(role => role);
+
+        if (adminRole && isTrustedGuild(guild.id)) {
+            console.log(`Guild ${guild.name} has the admin role, registering admin commands`);
+
+            await rest.put(
+                Routes.applicationGuildCommands(client.user.id, guild.id),
+                           { body: adminCommands },
+            );
+
+            console.log(`Successfully registered admin commands for guild ${guild.name}`);
+        } else {
+            console.log(`Guild ${guild.name} is not trusted or does not have the admin role, registering only /config`);
+
+            // Only /config, so the server managers can set up their channels and the ranks board
+            await rest.put(
+                Routes.applicationGuildCommands(client.user.id, guild.id),
+                           { body: [configCommand] },
+            );
+        }
+    } catch (error) {
+        console.error(`Error managing guild commands for ${guild.name}:`, error);
+    }
+}
+
+// Handle messages
+client.on(Events.MessageCreate, async (message) => {
+    const channelId = message.channelId;
+
+    // Check if the message is from a monitored channel
+    if (getAdminLogChannels().includes(channelId)) {
+        const content = message.content;
+
+        // Handle update command
+        if (content.startsWith('update now')) {
+            // Refresh the K-value configuration
+            await fetchKValueConfig();
+
+            // Update all ranks channels
+            await updateAllRanks();
+            await message.channel.send('K-value config refreshed and update made in all ranks channels.');
+        }
+
+        // Nationality changes moved to /nationality, point anyone still using the old command there
+        if (content.startsWith('change nationality of')) {
+            await message.channel.send('Nationality changes now use `/nationality set player:<player> flag:<flag>`.');
+        }
+
+        // Add a debug command to verify project settings
+        if (content === 'check project') {
+            const projectInfo = `Using Google Cloud project: Name: BPLRankings, Project ID: ${bigqueryClient.projectId}, Number: 805958038734`;
+            await message.channel.send(projectInfo);
+        }
+    }
+});
+
+// Get color based on player rank
+function getRankColor(rank) {
+    if (rank <= 3) return 0xFFD700;      // Gold for top 3
+    if (rank <= 10) return 0xC0C0C0;     // Silver for top 10
+    if (rank <= 20) return 0xCD7F32;     // Bronze for top 20
+    return 0x0099FF;                     // Blue for everyone else
+}
+
+// Image rendering settings
+const FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const RANKS_IMAGE_ENABLED = process.env.RANKS_IMAGE !== 'false'; // attach an image to the ranks board
+const RANKS_IMAGE_PLAYERS = 10; // players shown on the ranks board image
+const LEADERBOARD_IMAGE_ROW_HEIGHT = 40;
+const LEADERBOARD_IMAGE_WIDTH = 800;
+
+// Fonts and bundled images are loaded once, the first time something is rendered
+let imageAssetsPromise = null;
+
+function loadImageAssets() {
+    if (!imageAssetsPromise) {
+        imageAssetsPromise = (async () => {
+            PImage.registerFont(path.join(FONT_DIR, 'DejaVuSans.ttf'), 'DejaVu Sans').loadSync();
+            PImage.registerFont(path.join(FONT_DIR, 'DejaVuSans-Bold.ttf'), 'DejaVu Sans Bold').loadSync();
+
+            const background = await PImage.decodeJPEGFromStream(fs.createReadStream(path.join(__dirname, 'background.jpg')));
+            const icon = await PImage.decodeJPEGFromStream(fs.createReadStream(path.join(__dirname, 'icon.jpg')));
+            return { background, icon };
+        })();
+
+        // Let the next render try again if loading failed
+        imageAssetsPromise.catch(() => {
+            imageAssetsPromise = null;
+        });
+    }
+    return imageAssetsPromise;
+}
+
+// Encode a pureimage bitmap as a PNG buffer
+async function encodePNG(image) {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    await PImage.encodePNGToStream(image, stream);
+    return Buffer.concat(chunks);
+}
+
+// Convert a 0xRRGGBB color (as returned by getRankColor) to a CSS color string
+function toCssColor(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+// Turn a flag emoji (two regional indicator symbols) into its country code, e.g. 🇩🇪 -> DE.
+// The renderer has no emoji font, so flags are drawn as country code badges instead.
+function flagToCountryCode(nationality) {
+    if (!nationality) return null;
+    const codePoints = [...nationality.trim()].map(char => char.codePointAt(0));
+    if (codePoints.length !== 2 || !codePoints.every(code => code >= 0x1F1E6 && code <= 0x1F1FF)) {
+        return null;
+    }
+    return codePoints.map(code => String.fromCharCode(code - 0x1F1E6 + 65)).join('');
+}
+
+// Cut text with an ellipsis so it fits in maxWidth pixels
+function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 0 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+}
+
+// Draw the background scaled to cover the whole image, darkened so text stays readable
+function drawCoverBackground(ctx, background, width, height) {
+    const scale = Math.max(width / background.width, height / background.height);
+    const sourceWidth = width / scale;
+    const sourceHeight = height / scale;
+    ctx.drawImage(background,
+                  (background.width - sourceWidth) / 2, (background.height - sourceHeight) / 2, sourceWidth, sourceHeight,
+                  0, 0, width, height);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.fillRect(0, 0, width, height);
+}
+
+// Draw a nationality as a small country code badge, returns the width used
+function drawFlagBadge(ctx, nationality, x, y) {
+    const countryCode = flagToCountryCode(nationality);
+    if (!countryCode) return 0;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(x, y - 17, 38, 22);
+    ctx.fillStyle = '#1A1A1A';
+    ctx.font = "13pt DejaVu Sans Bold";
+    ctx.fillText(countryCode, x + 5, y);
+    return 46;
+}
+
+// Render a leaderboard card (PNG buffer) for the given players on the bundled background
+async function renderLeaderboardImage(players, title = 'BPL Rankings') {
+    const { background, icon } = await loadImageAssets();
+
+    const width = LEADERBOARD_IMAGE_WIDTH;
+    const headerHeight = 110;
+    const height = headerHeight + Math.max(players.length, 1) * LEADERBOARD_IMAGE_ROW_HEIGHT + 30;
+
+    const image = PImage.make(width, height);
+    const ctx = image.getContext('2d');
+    drawCoverBackground(ctx, background, width, height);
+
+    // Header with the icon, title and date
+    ctx.drawImage(icon, 0, 0, icon.width, icon.height, 24, 20, 70, 70);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = "28pt DejaVu Sans Bold";
+    ctx.fillText(title, 112, 56);
+    ctx.fillStyle = '#D0D0D0';
+    ctx.font = "13pt DejaVu Sans";
+    ctx.fillText(`As of ${new Date().toISOString().substring(0, 10)}`, 112, 84);
+
+    if (players.length === 0) {
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = "16pt DejaVu Sans";
+        ctx.fillText('No ranked players yet.', 24, headerHeight + 28);
+    }
+
+    players.forEach((player, index) => {
+        const top = headerHeight + index * LEADERBOARD_IMAGE_ROW_HEIGHT;
+        const baseline = top + 27;
+
+        // Alternate row shading
+        ctx.fillStyle = index % 2 === 0 ? 'rgba(0, 0, 0, 0.55)' : 'rgba(0, 0, 0, 0.35)';
+        ctx.fillRect(16, top, width - 32, LEADERBOARD_IMAGE_ROW_HEIGHT - 4);
+
+        // Rank number in the same color the /rank embed uses
+        ctx.fillStyle = toCssColor(getRankColor(player.rank));
+        ctx.font = "17pt DejaVu Sans Bold";
+        ctx.fillText(`#${player.rank}`, 28, baseline);
+
+        let nameX = 100;
+        nameX += drawFlagBadge(ctx, player.nationality, nameX, baseline);
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = "16pt DejaVu Sans";
+        ctx.fillText(fitText(ctx, player.name, width - nameX - 250), nameX, baseline);
+
+        ctx.fillStyle = '#B0B0B0';
+        ctx.font = "12pt DejaVu Sans";
+        ctx.fillText(`${player.pastgames || 0} games`, width - 230, baseline);
+
+        const rating = String(player.elo);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = "17pt DejaVu Sans Bold";
+        ctx.fillText(rating, width - 40 - ctx.measureText(rating).width, baseline);
+    });
+
+    return encodePNG(image);
+}
+
+// Render a line chart of a player's rating over time (PNG buffer)
+async function renderRatingChart(history, playerName) {
+    const { background } = await loadImageAssets();
+
+    const width = 800;
+    const height = 320;
+    const plot = { left: 70, right: width - 30, top: 56, bottom: height - 44 };
+
+    const image = PImage.make(width, height);
+    const ctx = image.getContext('2d');
+    drawCoverBackground(ctx, background, width, height);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = "16pt DejaVu Sans Bold";
+    ctx.fillText(fitText(ctx, `${playerName} - rating history`, width - 40), 20, 34);
+
+    const ratings = history.map(entry => entry.elo);
+    const timestamps = history.map(entry => entry.timestamp);
+
+    // Pad the rating range so a flat line isn't drawn on the edge
+    let minRating = Math.min(...ratings);
+    let maxRating = Math.max(...ratings);
+    const padding = Math.max(Math.round((maxRating - minRating) * 0.1), 10);
+    minRating -= padding;
+    maxRating += padding;
+
+    const firstTimestamp = timestamps[0];
+    const lastTimestamp = Math.max(timestamps[timestamps.length - 1], firstTimestamp + 1);
+
+    const toX = (timestamp) => plot.left + (timestamp - firstTimestamp) / (lastTimestamp - firstTimestamp) * (plot.right - plot.left);
+    const toY = (rating) => plot.bottom - (rating - minRating) / (maxRating - minRating) * (plot.bottom - plot.top);
+
+    // Horizontal grid lines with rating labels
+    ctx.font = "10pt DejaVu Sans";
+    for (let i = 0; i <= 4; i++) {
+        const rating = Math.round(minRating + (maxRating - minRating) * i / 4);
+        const y = toY(rating);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.fillRect(plot.left, Math.round(y), plot.right - plot.left, 1);
+        ctx.fillStyle = '#D0D0D0';
+        ctx.fillText(String(rating), 16, y + 5);
+    }
+
+    // Date labels for the start and end of the history
+    const formatDate = (timestamp) => new Date(timestamp * 1000).toISOString().substring(0, 10);
+    ctx.fillText(formatDate(firstTimestamp), plot.left, height - 16);
+    const lastLabel = formatDate(timestamps[timestamps.length - 1]);
+    ctx.fillText(lastLabel, plot.right - ctx.measureText(lastLabel).width, height - 16);
+
+    // The rating line itself
+    ctx.strokeStyle = '#FFD700';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    history.forEach((entry, index) => {
+        if (index === 0) {
+            ctx.moveTo(toX(entry.timestamp), toY(entry.elo));
+        } else {
+            ctx.lineTo(toX(entry.timestamp), toY(entry.elo));
+        }
+    });
+    ctx.stroke();
+
+    return encodePNG(image);
+}
+
+// Download an image (Steam avatars are JPEGs, but accept PNGs too) and decode it
+async function fetchImage(url) {
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 5000 });
+    const stream = new PassThrough();
+    stream.end(Buffer.from(response.data));
+
+    const contentType = response.headers['content-type'] || '';
+    return contentType.includes('png')
+    ? PImage.decodePNGFromStream(stream)
+    : PImage.decodeJPEGFromStream(stream);
+}
+
+// Render a shareable player profile card (PNG buffer)
+async function renderPlayerCard(playerData, avatarUrl = null, footerNote = null) {
+    const { background, icon } = await loadImageAssets();
+
+    // Use the bot icon if the player has no Steam avatar
+    let avatar = icon;
+    if (avatarUrl) {
+        try {
+            avatar = await fetchImage(avatarUrl);
+        } catch (error) {
+            console.error('Error downloading Steam avatar for card:', error.message);
+        }
+    }
+
+    const width = 800;
+    const height = 300;
+    const pastGames = playerData.pastgames || 0;
+    const statusInfo = getPlayerStatus(pastGames);
+    const rankColor = toCssColor(getRankColor(playerData.absoluteRank));
+
+    const image = PImage.make(width, height);
+    const ctx = image.getContext('2d');
+    drawCoverBackground(ctx, background, width, height);
+
+    // Avatar with a frame in the rank color
+    ctx.fillStyle = rankColor;
+    ctx.fillRect(32, 52, 196, 196);
+    ctx.drawImage(avatar, 0, 0, avatar.width, avatar.height, 40, 60, 180, 180);
+
+    // Name and nationality
+    let nameX = 260;
+    nameX += drawFlagBadge(ctx, playerData.nationality, nameX, 82);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = "26pt DejaVu Sans Bold";
+    ctx.fillText(fitText(ctx, playerData.name, width - nameX - 30), nameX, 86);
+
+    // Rank, rating and games
+    const stats = [
+        ['RANK', playerData.rank === -1 ? 'Unranked' : `#${playerData.rank}`],
+        ['RATING', String(playerData.elo)],
+        ['GAMES', String(pastGames)],
+    ];
+    stats.forEach(([label, value], index) => {
+        const x = 260 + index * 170;
+        ctx.fillStyle = '#B0B0B0';
+        ctx.font = "11pt DejaVu Sans";
+        ctx.fillText(label, x, 130);
+        ctx.fillStyle = index === 0 ? rankColor : '#FFFFFF';
+        ctx.font = "22pt DejaVu Sans Bold";
+        ctx.fillText(value, x, 162);
+    });
+
+    // Status tier and progress towards the next one
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = "14pt DejaVu Sans";
+    ctx.fillText(statusInfo.status, 260, 206);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.fillRect(260, 218, 500, 14);
+    ctx.fillStyle = rankColor;
+    ctx.fillRect(260, 218, Math.round(500 * Math.min(Math.max(statusInfo.progress, 0), 1)), 14);
+
+    ctx.fillStyle = '#D0D0D0';
+    ctx.font = "11pt DejaVu Sans";
+    ctx.fillText(statusInfo.nextTier
+    ? `${statusInfo.gamesToNextTier} more game${statusInfo.gamesToNextTier === 1 ? '' : 's'} to ${statusInfo.nextTier}`
+    : 'Highest tier reached', 260, 254);
+
+    ctx.fillStyle = '#A0A0A0';
+    ctx.font = "10pt DejaVu Sans";
+    const footer = `BPL Rankings | ${playerData.steamid}${footerNote ? ` | ${footerNote}` : ''}`;
+    ctx.fillText(fitText(ctx, footer, width - 260 - 30), 260, 282);
+
+    return encodePNG(image);
+}
+
+// Modify the ClientReady event to process queued updates after initialization
+client.once(Events.ClientReady, async (readyClient) => {
+    console.log(`Ready! Logged in as ${readyClient.user.tag}`);
+
+    // Fetch the K-value configuration on startup
+    await fetchKValueConfig();
+
+    // Fill the ranks cache used by autocomplete
+    await refreshRanksCache();
+
+    // Register global commands
+    await registerGlobalCommands();
+
+    // For each guild the bot is in, check for admin role and register admin commands if needed
+    for (const guild of readyClient.guilds.cache.values()) {
+        migrateLegacySettings(guild);
+        await registerGuildCommands(guild);
+        // Guilds joined while the bot was offline
+        await onboardGuild(guild);
+    }
+
+    // Pick up confirmations that were waiting when the bot stopped
+    restorePendingActions();
+
+    // Fetch existing messages in ranks channels without a saved board to see if we should edit them
+    try {
+        for (const channelId of getRanksChannels()) {
+            if (guildSettings.boardMessages[channelId] && guildSettings.boardMessages[channelId].length > 0) {
+                continue;
+            }
+            const channel = await client.channels.fetch(channelId);
+            if (channel) {
+                // Find the messages of the board we posted before the restart
+                const boardMessages = await findExistingRanksMessages(channel);
+                if (boardMessages.length > 0) {
+                    // Store these message IDs for future edits
+                    guildSettings.boardMessages[channelId] = boardMessages.map(msg => msg.id);
+                    saveGuildSettings();
+                    console.log(`Found existing ranks board in channel ${channelId}: ${guildSettings.boardMessages[channelId].join(', ')}`);
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Error fetching existing messages:', error);
+    }
+
+    setupPeriodicUpdates();
+
+    // Set bot as ready and process any queued updates
+    botReady = true;
+
+    const pendingCount = updateQueue.items.filter(item => item.status === 'pending').length;
+    if (pendingCount > 0) {
+        console.log(`Found ${pendingCount} queued updates, processing now`);
+        await processUpdateQueue();
+    }
+});
+
+// Function to get Steam avatar URL from Steam ID
+async function getSteamAvatar(steamId) {
+    // If the Steam API key is not provided, return null
+    if (!process.env.STEAM_API_KEY) {
+        console.warn('STEAM_API_KEY not found in environment variables');
+        return null;
+    }
+
+    try {
+        // Convert steamId to steamId64 if needed (if it's not already in that format)
+        let steamId64 = steamId;
+        if (!steamId.startsWith('7656')) {
+            // This is a simplified conversion, in reality it would need more logic
+            // for different Steam ID formats
+            console.warn('SteamID is not in steamId64 format, using fallback image');
+            return null;
+        }
+
+        // Call the Steam API to get player info
+        const response = await axios.get(`https://api.steampowered.com/ISteamUser/GetPlayerSummaries/v2/?key=${process.env.STEAM_API_KEY}&steamids=${steamId64}`);
+
+        // Check if we got a valid response with player data
+        if (response.data &&
+            response.data.response &&
+            response.data.response.players &&
+            response.data.response.players.length > 0) {
+
+            const player = response.data.response.players[0];
+
+        // Return the avatar URL (medium size)
+        return player.avatarmedium || player.avatar || null;
+            }
+
+            return null;
+    } catch (error) {
+        console.error('Error fetching Steam avatar:', error.message);
+        return null;
+    }
+}
+
+// Function to get the Steam profile name for a Steam ID (used to verify /link codes)
+async function getSteamPersonaName(steamId) {
+    if (!process.env.STEAM_API_KEY) {
+        console.warn('STEAM_API_KEY not found in environment variables');
+        return null;
+    }
+
+    try {
+        const response = await axios.get(`https://api.steampowered.com/ISteamUser/GetPlayerSummaries/v2/?key=${process.env.STEAM_API_KEY}&steamids=${steamId}`);
+        const player = response.data?.response?.players?.[0];
+        return player ? player.personaname : null;
+    } catch (error) {
+        console.error('Error fetching Steam profile name:', error.message);
+        return null;
+    }
+}
+
+// Update the formatMatchResults function to use K-value config
+async function formatMatchResults(matchData) {
+    if (!matchData || !matchData.teams) {
+        return "Error: Invalid match data";
+    }
+
+    // Use the cached K-value config instead of fetching it every time
+    const kValueConfig = cachedKValueConfig;
+
+    const winningTeam = matchData.winning_team;
+    const timestamp = matchData.timestamp ? `<t:${matchData.timestamp}:F>` : "Unknown time";
+    const team1Rating = matchData.team_ratings["1"];
+    const team2Rating = matchData.team_ratings["2"];
+    const team1WinChance = (matchData.expected_outcomes["1"] * 100).toFixed(1);
+    const team2WinChance = (matchData.expected_outcomes["2"] * 100).toFixed(1);
+
+    let resultString = `# Match Results (${timestamp})\n\n`;
+    resultString += `## 🏆 **Team ${winningTeam} Victory**\n\n`;
+
+    // Team info
+    resultString += `**Team 1** (Rating: ${team1Rating}, Win Chance: ${team1WinChance}%)\n`;
+    resultString += `**Team 2** (Rating: ${team2Rating}, Win Chance: ${team2WinChance}%)\n\n`;
+
+    // Create a table for each team with player stats
+    resultString += `### Team 1 Players\n`;
+    if (matchData.teams["1"].length === 0) {
+        resultString += "No players\n";
+    } else {
+        resultString += "```\n";
+        resultString += "Player           | Before | After | Change | K  | Games \n";
+        resultString += "-----------------|--------|-------|--------|----|---------\n";
+
+        matchData.teams["1"].forEach(player => {
+            const name = player.name.padEnd(16).substring(0, 16);
+            const oldRating = String(player.old_rating).padEnd(7);
+            const newRating = String(player.new_rating).padEnd(6);
+            const delta = player.delta > 0 ? `+${player.delta}`.padEnd(7) : String(player.delta).padEnd(7);
+            const kValue = String(player.k_value || "32").padEnd(3);
+            const games = String(player.pastgames || "?");
+            resultString += `${name} | ${oldRating}| ${newRating}| ${delta}| ${kValue}| ${games}\n`;
+        });
+
+        resultString += "```\n";
+    }
+
+    resultString += `### Team 2 Players\n`;
+    if (matchData.teams["2"].length === 0) {
+        resultString += "No players\n";
+    } else {
+        resultString += "```\n";
+        resultString += "Player           | Before | After | Change | K  | Games \n";
+        resultString += "-----------------|--------|-------|--------|----|---------\n";
+
         matchData.teams["2"].forEach(player => {
             const name = player.name.padEnd(16).substring(0, 16);
-            const oldRating = String(player.old_rating).padEnd(7);
-            const newRating = String(player.new_rating).padEnd(6);
-            const delta = player.delta > 0 ? `+${player.delta}`.padEnd(7) : String(player.delta).padEnd(7);
-            const kValue = String(player.k_value || "32").padEnd(3);
-            const games = String(player.pastgames || "?");
-            resultString += `${name} | ${oldRating}| ${newRating}| ${delta}| ${kValue}| ${games}\n`;
+            const oldRating = String(player.old_rating).padEnd(7);
+            const newRating = String(player.new_rating).padEnd(6);
+            const delta = player.delta > 0 ? `+${player.delta}`.padEnd(7) : String(player.delta).padEnd(7);
+            const kValue = String(player.k_value || "32").padEnd(3);
+            const games = String(player.pastgames || "?");
+            resultString += `${name} | ${oldRating}| ${newRating}| ${delta}| ${kValue}| ${games}\n`;
+        });
+
+        resultString += "```\n";
+    }
+
+    // Add explanation of K-value using the descriptions from config
+    resultString += `\n**About K-Values:**\n`;
+    resultString += `• K=${kValueConfig.kValues.newPlayer}: ${kValueConfig.descriptions.newPlayer}\n`;
+    resultString += `• K=${kValueConfig.kValues.developingPlayer}: ${kValueConfig.descriptions.developingPlayer}\n`;
+    resultString += `• K=${kValueConfig.kValues.establishedPlayer}: ${kValueConfig.descriptions.establishedPlayer}\n`;
+    resultString += `\nHigher K-values cause larger rating changes.`;
+
+    return resultString;
+}
+
+// Send match results to the given channels (all match results channels by default).
+// Returns the ids of the channels the results were delivered to.
+async function sendMatchResults(matchData, channelIds = getMatchResultsChannels()) {
+    const deliveredChannels = [];
+
+    try {
+        const formattedResults = await formatMatchResults(matchData);
+
+        for (const channelId of channelIds) {
+            try {
+                const channel = await client.channels.fetch(channelId);
+                if (channel) {
+                    await channel.send(formattedResults);
+                    deliveredChannels.push(channelId);
+                    console.log(`Sent match results to channel ${channelId}`);
+                } else {
+                    console.error(`Channel ${channelId} not found for match results`);
+                }
+            } catch (error) {
+                console.error(`Error sending match results to channel ${channelId}:`, error);
+            }
+        }
+    } catch (error) {
+        console.error("Error formatting or sending match results:", error);
+    }
+
+    return deliveredChannels;
+}
+
+// Work out a stable id for a match so repeated notifications can be deduplicated
+function getMatchId(matchData) {
+    if (matchData.match_id !== undefined && matchData.match_id !== null) {
+        return String(matchData.match_id);
+    }
+    if (matchData.id !== undefined && matchData.id !== null) {
+        return String(matchData.id);
+    }
+    // No id from the backend, fall back to a hash of the payload
+    return crypto.createHash('sha256').update(JSON.stringify(matchData)).digest('hex').substring(0, 16);
+}
+
+// Add an update to the persistent queue.
+// Returns the queued item, or null if the match was already queued or delivered.
+function enqueueUpdate(matchData) {
+    const id = matchData ? getMatchId(matchData) : 'ranks-refresh';
+
+    if (matchData && updateQueue.processedIds.includes(id)) {
+        console.log(`Match ${id} was already delivered, ignoring duplicate`);
+        return null;
+    }
+
+    const existingItem = updateQueue.items.find(item => item.id === id && item.status === 'pending');
+    if (existingItem) {
+        // A ranks refresh is already waiting, no need for another one
+        if (!matchData) {
+            return existingItem;
+        }
+        console.log(`Match ${id} is already queued, ignoring duplicate`);
+        return null;
+    }
+
+    const item = {
+        id: id,
+        type: matchData ? 'match' : 'ranks',
+        data: matchData,
+        status: 'pending',
+        attempts: 0,
+        deliveredChannels: [],
+        channelRetries: {}, // channelId -> { attempts, nextAttemptAt, failed }
+        receivedAt: Date.now(),
+        nextAttemptAt: Date.now(),
+        lastError: null
+    };
+
+    updateQueue.items.push(item);
+    writeJsonStore(UPDATE_QUEUE_FILE, updateQueue);
+    return item;
+}
+
+// Wake the queue up again when the next retry is due
+function scheduleQueueRetry() {
+    if (queueRetryTimer) {
+        clearTimeout(queueRetryTimer);
+        queueRetryTimer = null;
+    }
+
+    const pendingItems = updateQueue.items.filter(item => item.status === 'pending');
+    if (pendingItems.length === 0) {
+        return;
+    }
+
+    const nextAttemptAt = Math.min(...pendingItems.map(item => item.nextAttemptAt));
+    const delay = Math.max(nextAttemptAt - Date.now(), 1000);
+
+    queueRetryTimer = setTimeout(() => {
+        queueRetryTimer = null;
+        processUpdateQueue().catch(error => console.error('Error processing update queue:', error));
+    }, delay);
+}
+
+// Drain the persistent update queue, retrying failed sends with backoff for each channel.
+// Match results stay in order per channel: a channel waiting for a retry gets no later matches until it is caught up,
+// while the other channels keep receiving them.
+async function processUpdateQueue() {
+    if (queueProcessing || !botReady) {
+        return;
+    }
+    queueProcessing = true;
+
+    let processedCount = 0;
+
+    try {
+        const pendingItems = updateQueue.items.filter(item => item.status === 'pending');
+        console.log(`Processing update queue (${pendingItems.length} items)`);
+
+        // Channels behind on an earlier match -> when that match is retried
+        const waitingChannels = new Map();
+
+        for (const item of pendingItems) {
+            if (item.type === 'match' && item.data) {
+                // Items queued before retries were tracked per channel
+                if (!item.channelRetries) {
+                    item.channelRetries = {};
+                }
+
+                const remainingChannels = getMatchResultsChannels().filter(channelId =>
+                    !item.deliveredChannels.includes(channelId) && !item.channelRetries[channelId]?.failed);
+                const dueChannels = [];
+                for (const channelId of remainingChannels) {
+                    const retry = item.channelRetries[channelId];
+                    if (waitingChannels.has(channelId)) {
+                        continue;
+                    }
+                    if (retry && retry.nextAttemptAt > Date.now()) {
+                        waitingChannels.set(channelId, retry.nextAttemptAt);
+                        continue;
+                    }
+                    dueChannels.push(channelId);
+                }
+
+                if (dueChannels.length > 0) {
+                    item.attempts++;
+                    console.log(`Processing queued match ${item.id} (attempt ${item.attempts})`);
+                    const delivered = await sendMatchResults(item.data, dueChannels);
+                    item.deliveredChannels.push(...delivered);
+
+                    for (const channelId of dueChannels.filter(channelId => !delivered.includes(channelId))) {
+                        const retry = item.channelRetries[channelId] || { attempts: 0, nextAttemptAt: 0, failed: false };
+                        item.channelRetries[channelId] = retry;
+                        retry.attempts++;
+
+                        if (retry.attempts >= QUEUE_MAX_ATTEMPTS) {
+                            retry.failed = true;
+                            console.error(`Giving up on match ${item.id} in channel ${channelId} after ${retry.attempts} attempts`);
+                            continue;
+                        }
+
+                        const delay = Math.min(QUEUE_RETRY_BASE * Math.pow(2, retry.attempts - 1), QUEUE_RETRY_MAX);
+                        retry.nextAttemptAt = Date.now() + delay * 1000;
+                        waitingChannels.set(channelId, retry.nextAttemptAt);
+                        console.warn(`Match ${item.id} will be retried in channel ${channelId} in ${delay} seconds`);
+                    }
+                }
+
+                const undelivered = remainingChannels.filter(channelId => !item.deliveredChannels.includes(channelId));
+                const failedChannels = Object.keys(item.channelRetries).filter(channelId =>
+                    item.channelRetries[channelId].failed && getMatchResultsChannels().includes(channelId));
+                const waiting = undelivered.filter(channelId => !item.channelRetries[channelId]?.failed);
+
+                if (waiting.length > 0) {
+                    item.nextAttemptAt = Math.min(...waiting.map(channelId => waitingChannels.get(channelId)));
+                    item.lastError = `Could not deliver to channel(s) ${waiting.join(', ')} yet`;
+                    writeJsonStore(UPDATE_QUEUE_FILE, updateQueue);
+                    continue;
+                }
+
+                if (failedChannels.length > 0) {
+                    item.status = 'failed';
+                    item.lastError = `Could not deliver to channel(s) ${failedChannels.join(', ')}`;
+                    writeJsonStore(UPDATE_QUEUE_FILE, updateQueue);
+                    continue;
+                }
+
+                updateQueue.processedIds.push(item.id);
+                updateQueue.processedIds = updateQueue.processedIds.slice(-QUEUE_PROCESSED_HISTORY);
+            }
+
+            // Delivered, remove it from the queue
+            updateQueue.items = updateQueue.items.filter(queued => queued !== item);
+            writeJsonStore(UPDATE_QUEUE_FILE, updateQueue);
+            processedCount++;
+        }
+
+        // Update all ranks channels once the queued updates have been sent
+        if (processedCount > 0) {
+            await updateAllRanks();
+        }
+    } catch (error) {
+        console.error('Error processing queued update:', error);
+    } finally {
+        queueProcessing = false;
+        scheduleQueueRetry();
+    }
+}
+
+// Store a received match so it can be looked up later by /history
+function recordMatch(matchId, matchData) {
+    if (matchHistory.matches.some(match => match.id === matchId)) {
+        return;
+    }
+
+    const pickPlayer = (player) => ({
+        name: player.name,
+        steamid: player.steamid || null,
+        old_rating: player.old_rating,
+        new_rating: player.new_rating,
+        delta: player.delta,
+        k_value: player.k_value || null,
+        pastgames: player.pastgames ?? null
+    });
+
+    matchHistory.matches.push({
+        id: matchId,
+        timestamp: matchData.timestamp ? Number(matchData.timestamp) : Math.floor(Date.now() / 1000),
+        winning_team: String(matchData.winning_team),
+        team_ratings: matchData.team_ratings,
+        expected_outcomes: matchData.expected_outcomes,
+        k_value: matchData.k_value ?? null,
+        teams: {
+            "1": matchData.teams["1"].map(pickPlayer),
+            "2": matchData.teams["2"].map(pickPlayer)
+        }
+    });
+
+    matchHistory.matches = matchHistory.matches.slice(-MATCH_HISTORY_LIMIT);
+    writeJsonStore(MATCH_HISTORY_FILE, matchHistory);
+}
+
+// Find a player in a stored match, by steamid when the backend sent one, otherwise by name.
+// Returns { team, player } or null if they didn't play in it.
+function findPlayerInMatch(match, playerData) {
+    for (const team of ['1', '2']) {
+        const player = match.teams[team].find(entry => entry.steamid
+        ? entry.steamid === playerData.steamid
+        : entry.name.toLowerCase() === playerData.name.toLowerCase());
+        if (player) {
+            return { team: team, player: player };
+        }
+    }
+    return null;
+}
+
+// Win/loss record of two players from the stored matches, both as teammates and as opponents
+function getHeadToHeadRecord(player1, player2) {
+    const record = {
+        together: { games: 0, wins: 0 },
+        against: { games: 0, player1Wins: 0 }
+    };
+
+    for (const match of matchHistory.matches) {
+        const entry1 = findPlayerInMatch(match, player1);
+        const entry2 = findPlayerInMatch(match, player2);
+        if (!entry1 || !entry2) continue;
+
+        if (entry1.team === entry2.team) {
+            record.together.games++;
+            if (match.winning_team === entry1.team) record.together.wins++;
+        } else {
+            record.against.games++;
+            if (match.winning_team === entry1.team) record.against.player1Wins++;
+        }
+    }
+
+    return record;
+}
+
+// Get a player's most recent matches, newest first
+function getPlayerMatches(playerData, count) {
+    const results = [];
+    for (let i = matchHistory.matches.length - 1; i >= 0 && results.length < count; i--) {
+        const match = matchHistory.matches[i];
+        const entry = findPlayerInMatch(match, playerData);
+        if (entry) {
+            results.push({ match: match, ...entry });
+        }
+    }
+    return results;
+}
+
+// Find an archived season by name, ignoring case
+function findSeason(name) {
+    const search = (name || '').trim().toLowerCase();
+    return seasonArchive.seasons.find(season => season.name.toLowerCase() === search) || null;
+}
+
+// Name for the season that ends with the next reset when the admin doesn't give one
+function getDefaultSeasonName() {
+    let number = seasonArchive.seasons.length + 1;
+    while (findSeason(`Season ${number}`)) {
+        number++;
+    }
+    return `Season ${number}`;
+}
+
+// Snapshot the current ranked standings as a finished season
+async function archiveSeason(name, endedBy) {
+    const allRanks = await getAllRanksData();
+    const season = {
+        name: name,
+        endedAt: Math.floor(Date.now() / 1000),
+        endedBy: endedBy,
+        standings: allRanks
+        .filter(player => player.rank !== -1)
+        .map(player => ({
+            rank: player.rank,
+            name: player.name,
+            steamid: player.steamid,
+            elo: player.elo,
+            games: player.pastgames || 0
+        }))
+    };
+
+    // Checked again after the query, another reset could have taken the name in the meantime
+    if (findSeason(name)) {
+        throw new Error(`A season named "${name}" already exists`);
+    }
+
+    seasonArchive.seasons.push(season);
+    writeJsonStore(SEASONS_FILE, seasonArchive);
+    return season;
+}
+
+// Forget an archived season, used when the reset it was archived for failed.
+// Takes the season object itself so an older season with the same name is never removed.
+function removeSeason(seasonToRemove) {
+    seasonArchive.seasons = seasonArchive.seasons.filter(season => season !== seasonToRemove);
+    writeJsonStore(SEASONS_FILE, seasonArchive);
+}
+
+// A player's finishes in past seasons, most recent first
+function getPlayerSeasonFinishes(steamid) {
+    const finishes = [];
+    for (let i = seasonArchive.seasons.length - 1; i >= 0; i--) {
+        const season = seasonArchive.seasons[i];
+        const entry = season.standings.find(player => player.steamid === steamid);
+        if (entry) {
+            finishes.push({ season: season.name, ...entry });
+        }
+    }
+    return finishes;
+}
+
+// Format the top of a season's final standings
+function formatSeasonStandings(season, count = SEASON_STANDINGS_SHOWN) {
+    const lines = season.standings.slice(0, count).map(player =>
+    `${player.rank}. ${player.name} - ${player.elo} (${player.games} games)`);
+
+    if (season.standings.length > count) {
+        lines.push(`...and ${season.standings.length - count} more`);
+    }
+    return lines.length > 0 ? lines.join('\n') : 'No ranked players.';
+}
+
+// Build CSV text from a header row and data rows, quoting values that need it
+function formatCsv(headers, rows) {
+    const escape = (value) => {
+        let text = value === null || value === undefined ? '' : String(value);
+        // Text a spreadsheet would run as a formula (e.g. a player named "=HYPERLINK(...)") is kept as text
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [headers, ...rows].map(row => row.map(escape).join(',')).join('\n') + '\n';
+}
+
+// CSV of players as returned by getAllRanksData
+function formatPlayersCsv(players) {
+    return formatCsv(
+        ['rank', 'name', 'steamid', 'elo', 'nationality', 'games'],
+        players.map(player => [player.rank === -1 ? '' : player.rank, player.name, player.steamid, player.elo, player.nationality, player.pastgames || 0])
+    );
+}
+
+// Preview of what /reset_ranks will do, shown on its confirmation message
+function buildResetPreview(allRanks, defaultElo) {
+    const rankedPlayers = allRanks.filter(player => player.rank !== -1);
+    const minGames = cachedKValueConfig?.thresholds?.newPlayer || 5;
+
+    let preview = `**Players affected:** ${allRanks.length} (${rankedPlayers.length} ranked)\n`;
+    preview += `\n**Current top 10 → after reset**\n`;
+    if (rankedPlayers.length === 0) {
+        preview += 'No ranked players.\n';
+    }
+    rankedPlayers.slice(0, 10).forEach(player => {
+        preview += `${player.rank}. ${player.nationality ? `${player.nationality} ` : ''}${player.name}: ${player.elo} (${player.pastgames || 0} games) → ${defaultElo} (0 games)\n`;
+    });
+    preview += `\nAfter the reset every player is at ${defaultElo} ELO with 0 games, so the board stays empty until players have played ${minGames} games.`;
+
+    return preview;
+}
+
+// Put failed queue items back in line for another round of attempts
+function retryFailedUpdates() {
+    let count = 0;
+    for (const item of updateQueue.items) {
+        if (item.status === 'failed') {
+            item.status = 'pending';
+            item.attempts = 0;
+            item.channelRetries = {};
+            item.nextAttemptAt = Date.now();
+            count++;
+        }
+    }
+    writeJsonStore(UPDATE_QUEUE_FILE, updateQueue);
+    return count;
+}
+
+// Add a function to reset ranks via backend
+async function resetRanksViaBackend(defaultElo = 2000) {
+    try {
+        // Use a special internal endpoint with a shared secret in the headers
+        const backendUrl = 'https://bplrankings.uc.r.appspot.com/internal/reset-ranks';
+
+        // Use a shared secret from environment variables
+        const botSecret = process.env.BOT_INTERNAL_SECRET;
+
+        if (!botSecret) {
+            throw new Error('BOT_INTERNAL_SECRET not configured in environment variables');
+        }
+
+        const response = await axios.post(
+            backendUrl,
+            { default_elo: defaultElo },
+            { headers: { 'X-Bot-Secret': botSecret } }
+        );
+
+        // The backend returns plain text with status code
+        return {
+            success: response.status === 200,
+            message: response.data
+        };
+    } catch (error) {
+        console.error('Error calling reset ranks endpoint:', error);
+        return {
+            success: false,
+            message: error.response?.data || error.message
+        };
+    }
+}
+
+// Add this function near the resetRanksViaBackend function in index.js
+async function setPlayerEloToZero(steamId = null, playerName = null) {
+    try {
+        // Use a special internal endpoint with a shared secret in the headers
+        const backendUrl = 'https://bplrankings.uc.r.appspot.com/internal/set-elo-zero';
+
+        // Use a shared secret from environment variables
+        const botSecret = process.env.BOT_INTERNAL_SECRET;
+
+        if (!botSecret) {
+            throw new Error('BOT_INTERNAL_SECRET not configured in environment variables');
+        }
+
+        const response = await axios.post(
+            backendUrl,
+            {
+                steamid: steamId,
+                name: playerName
+            },
+            { headers: { 'X-Bot-Secret': botSecret } }
+        );
+
+        // The backend returns plain text with status code
+        return {
+            success: response.status === 200,
+            message: response.data,
+            playerData: response.data.playerData || null
+        };
+    } catch (error) {
+        console.error('Error calling set elo zero endpoint:', error);
+        return {
+            success: false,
+            message: error.response?.data || error.message,
+            playerData: null
+        };
+    }
+}
+
+// Player selections waiting for the user to pick from a select menu
+const PLAYER_SELECTION_TTL = 5 * 60 * 1000; // ms
+const PLAYER_SELECTION_MAX_OPTIONS = 25; // Discord's limit for select menus
+const pendingPlayerSelections = new Map();
+
+// Find the players matching a search (Steam ID or name).
+// Returns { player, candidates }: player is only set when the match is exact or unique,
+// otherwise candidates holds every player that matched so the user can pick.
+function resolvePlayer(allRanks, query) {
+    const search = query.trim().toLowerCase();
+
+    const bySteamId = allRanks.find(player => player.steamid === query.trim());
+    if (bySteamId) {
+        return { player: bySteamId, candidates: [bySteamId] };
+    }
+
+    const exactMatches = allRanks.filter(player => player.name.toLowerCase() === search);
+    if (exactMatches.length === 1) {
+        return { player: exactMatches[0], candidates: exactMatches };
+    }
+    if (exactMatches.length > 1) {
+        return { player: null, candidates: exactMatches };
+    }
+
+    const partialMatches = allRanks.filter(player => player.name.toLowerCase().includes(search));
+    return {
+        player: partialMatches.length === 1 ? partialMatches[0] : null,
+        candidates: partialMatches
+    };
+}
+
+// Ask the user which of several matching players they meant.
+// The command continues in the handler registered for commandName in playerSelectionHandlers.
+// The interaction must already be replied to or deferred.
+async function promptPlayerSelection(interaction, candidates, commandName, context) {
+    const selectionId = crypto.randomBytes(6).toString('hex');
+    pendingPlayerSelections.set(selectionId, {
+        userId: interaction.user.id,
+        commandName: commandName,
+        context: context,
+        expiresAt: Date.now() + PLAYER_SELECTION_TTL
+    });
+
+    // Forget the selection if nobody picks a player in time
+    setTimeout(() => pendingPlayerSelections.delete(selectionId), PLAYER_SELECTION_TTL);
+
+    const shownCandidates = candidates.slice(0, PLAYER_SELECTION_MAX_OPTIONS);
+    const selectMenu = new StringSelectMenuBuilder()
+    .setCustomId(`select_player_${selectionId}`)
+    .setPlaceholder('Choose a player')
+    .addOptions(shownCandidates.map(player => ({
+        label: `${player.name} (${player.elo})`.substring(0, 100),
+        description: player.steamid,
+        value: player.steamid
+    })));
+
+    const row = new ActionRowBuilder()
+    .addComponents(selectMenu);
+
+    let content = `${candidates.length} players match, which one did you mean?`;
+    if (candidates.length > shownCandidates.length) {
+        content += ` Showing the top ${shownCandidates.length}, use a more specific name or the Steam ID if yours isn't listed.`;
+    }
+
+    await interaction.editReply({ content: content, embeds: [], components: [row] });
+}
+
+// Reply to a rank lookup with the player's stats (embed, or image card when options.card is set).
+// The interaction must already be replied to or deferred.
+async function replyWithPlayerRank(interaction, playerData, options = {}) {
+    // Determine player status
+    const pastGames = playerData.pastgames || 0;
+    const statusInfo = getPlayerStatus(pastGames);
+    const minGames = statusInfo.minGames;
+    const playerStatus = statusInfo.status;
+
+    // Format the rank display value
+    const rankDisplay = playerData.rank === -1
+    ? "Unranked"
+    : `#${playerData.rank}`;
+
+    // Simple text response as a fallback that will always work
+    const simpleResponse = `${playerData.name} is ${rankDisplay} with ${playerData.elo} ELO. (${playerStatus}, ${pastGames} games played)`;
+
+    // Try to get the Steam avatar
+    let avatarUrl = null;
+    try {
+        avatarUrl = await getSteamAvatar(playerData.steamid);
+    } catch (avatarError) {
+        console.error("Error getting Steam avatar:", avatarError);
+    }
+
+    // Rating history from the older rows of this player
+    let ratingSummary = null;
+    let chartAttachment = null;
+    try {
+        const history = await getRatingHistory(playerData.steamid);
+        ratingSummary = summarizeRatingHistory(history, playerData.elo);
+        if (history.length >= 2) {
+            const chartBuffer = await renderRatingChart(history, playerData.name);
+            chartAttachment = new AttachmentBuilder(chartBuffer, { name: 'rating-history.png' });
+        }
+    } catch (historyError) {
+        console.error("Error building rating history:", historyError);
+    }
+
+    // Shareable image card, falls back to the embed below if rendering fails
+    if (options.card) {
+        try {
+            // The card has no room for fields, so a manual adjustment goes in its footer
+            const adjustment = getLatestRatingAdjustment(playerData.steamid);
+            const adjustmentNote = adjustment ?
+            `Rating manually adjusted on ${new Date(adjustment.timestamp * 1000).toISOString().slice(0, 10)}: ${adjustment.reason || 'no reason given'}` :
+            null;
+            const cardBuffer = await renderPlayerCard(playerData, avatarUrl, adjustmentNote);
+            const files = [new AttachmentBuilder(cardBuffer, { name: `rank-${playerData.steamid}.png` })];
+            if (chartAttachment) {
+                files.push(chartAttachment);
+            }
+            await interaction.editReply({ content: '', files: files });
+            return;
+        } catch (cardError) {
+            console.error("Error rendering player card:", cardError);
+        }
+    }
+
+    try {
+        // Create a fancy embed for the player's stats
+        const rankEmbed = {
+            color: getRankColor(playerData.absoluteRank),
+            title: `${playerData.nationality || ''} ${playerData.name}'s Ranking Stats`,
+            description: `Current ranking information for ${playerData.name}`,
+            fields: [
+                {
+                    name: 'Rank',
+                    value: rankDisplay,
+                    inline: true,
+                },
+                {
+                    name: 'Rating',
+                    value: playerData.elo === cachedKValueConfig.defaultElo ? `${playerData.elo} (bottom)` : `${playerData.elo}`,
+                    inline: true,
+                },
+                {
+                    name: 'Games Played',
+                    value: `${pastGames}`,
+                    inline: true,
+                },
+                {
+                    name: 'Steam ID',
+                    value: `${playerData.steamid}`,
+                    inline: false,
+                },
+            ],
+            timestamp: new Date(),
+            footer: {
+                text: `BPL Rankings | ${minGames}+ games needed to be ranked\nRating will never drop below ${cachedKValueConfig.defaultElo}`,
+            },
+        };
+
+        // Add note for unranked players
+        if (playerData.rank === -1) {
+            rankEmbed.fields.push({
+                name: 'Ranking Status',
+                value: `Need ${minGames - pastGames} more games to be officially ranked.`,
+                inline: false,
+            });
+        }
+
+        // Add the rating trend if we have history for this player
+        if (ratingSummary) {
+            rankEmbed.fields.push(
+                {
+                    name: 'Last 7 Days',
+                    value: formatRatingChange(ratingSummary.change7d),
+                    inline: true,
+                },
+                {
+                    name: 'Last 30 Days',
+                    value: formatRatingChange(ratingSummary.change30d),
+                    inline: true,
+                },
+                {
+                    name: 'Peak / Lowest',
+                    value: `${ratingSummary.peak} / ${ratingSummary.lowest}`,
+                    inline: true,
+                }
+            );
+        }
+
+        // Say when the rating was last changed by hand, and why
+        const adjustment = getLatestRatingAdjustment(playerData.steamid);
+        if (adjustment) {
+            rankEmbed.fields.push({
+                name: 'Manual Adjustment',
+                value: `Rating manually adjusted on <t:${adjustment.timestamp}:D>: ${adjustment.reason || 'no reason given'}`,
+                inline: false,
+            });
+        }
+
+        // Add the player's finishes in past seasons
+        const seasonFinishes = getPlayerSeasonFinishes(playerData.steamid);
+        if (seasonFinishes.length > 0) {
+            rankEmbed.fields.push({
+                name: 'Past Seasons',
+                value: seasonFinishes.slice(0, 5).map(finish => `${finish.season}: #${finish.rank} (${finish.elo})`).join('\n'),
+                inline: false,
+            });
+        }
+
+        // Add thumbnail if we have an avatar
+        if (avatarUrl) {
+            rankEmbed.thumbnail = { url: avatarUrl };
+        }
+
+        // Show the rating chart inside the embed
+        if (chartAttachment) {
+            rankEmbed.image = { url: 'attachment://rating-history.png' };
+        }
+
+        // Edit the original reply with the embed
+        await interaction.editReply({ content: '', embeds: [rankEmbed], files: chartAttachment ? [chartAttachment] : [] });
+
+    } catch (embedError) {
+        // If creating the embed fails, fall back to simple text
+        console.error("Error creating embed:", embedError);
+        await interaction.editReply({ content: simpleResponse });
+    }
+}
+
+// Reply with a player's most recent matches. The interaction must already be replied to or deferred.
+async function replyWithMatchHistory(interaction, playerData, count) {
+    const recentMatches = getPlayerMatches(playerData, count);
+    if (recentMatches.length === 0) {
+        await interaction.editReply({ content: `No recorded matches for ${playerData.name} yet.` });
+        return;
+    }
+
+    const lines = recentMatches.map(({ match, team, player }) => {
+        const opponentTeam = team === '1' ? '2' : '1';
+        const won = match.winning_team === team;
+        const teammates = match.teams[team].filter(entry => entry !== player).map(entry => entry.name);
+        const opponents = match.teams[opponentTeam].map(entry => entry.name);
+        const winChance = (match.expected_outcomes[team] * 100).toFixed(1);
+
+        let line = `${won ? '✅ **Win**' : '❌ **Loss**'} <t:${match.timestamp}:d> ${formatRatingChange(player.delta)} (${player.old_rating} → ${player.new_rating}), ${winChance}% expected`;
+        line += `\n  With: ${teammates.length > 0 ? teammates.join(', ') : 'nobody'} | Vs: ${opponents.length > 0 ? opponents.join(', ') : 'nobody'}`;
+        return line;
+    });
+
+    const wins = recentMatches.filter(({ match, team }) => match.winning_team === team).length;
+    const totalDelta = recentMatches.reduce((sum, { player }) => sum + player.delta, 0);
+
+    const historyEmbed = {
+        color: getRankColor(playerData.absoluteRank),
+        title: `${playerData.nationality || ''} ${playerData.name}'s Recent Matches`,
+        description: lines.join('\n\n').substring(0, 4096),
+        timestamp: new Date(),
+        footer: {
+            text: `${wins}W ${recentMatches.length - wins}L | Net ${formatRatingChange(totalDelta)} over ${recentMatches.length} matches`,
+        },
+    };
+
+    await interaction.editReply({ embeds: [historyEmbed] });
+}
+
+// Set a player's ELO to 0 through the backend and announce it.
+// The interaction must already be replied to or deferred.
+async function applySetEloZero(interaction, targetSteamId, targetName, options = {}) {
+    // The player's state before the change, so it can be reverted
+    const beforeRow = await getLatestPlayerRow(targetSteamId);
+
+    // Call our backend function
+    const result = await setPlayerEloToZero(targetSteamId, targetName);
+
+    if (result.success) {
+        const afterRow = await getLatestPlayerRow(targetSteamId);
+        const auditEntry = recordAuditEntry('set_elo_zero', interaction.user, targetSteamId, snapshotPlayerRow(beforeRow), snapshotPlayerRow(afterRow), {
+            reason: options.reason || null,
+            guildId: interaction.guildId
+        });
+
+        // Send success message
+        await interaction.editReply({
+            content: `⚠️ Player **${result.playerData?.name || targetName}** (${result.playerData?.steamid || targetSteamId}) ELO has been set to 0. (action #${auditEntry.id})\n\nRanks channels will be updated shortly.`
+        });
+
+        // Log the action
+        console.log(`ELO set to 0 for player ${result.playerData?.name || targetName} (${result.playerData?.steamid || targetSteamId}) by ${interaction.user.tag} (${interaction.user.id})`);
+
+        // Announce in the audit channels
+        await postAuditEntry(auditEntry);
+
+        if (options.notify) {
+            await notifyLinkedPlayer(targetSteamId, `⚠️ An admin has set your BPL rating to 0.${options.reason ? `\nReason: ${options.reason}` : ''}`);
+        }
+
+        // Update all ranks channels
+        await updateAllRanks();
+    } else {
+        await interaction.editReply(`Error: ${result.message || 'Failed to set player ELO to 0'}`);
+    }
+}
+
+// The parts of a rankings row that manual actions change
+function snapshotPlayerRow(row) {
+    if (!row) {
+        return null;
+    }
+    return {
+        name: row.name,
+        elo: row.elo,
+        pastgames: row.pastgames || 0,
+        nationality: row.nationality || null
+    };
+}
+
+// Store a manual action with the player's state before and after it
+function recordAuditEntry(type, actor, steamid, before, after, extra = {}) {
+    const entry = {
+        id: auditLog.nextId++,
+        type: type,
+        actorId: actor ? actor.id : null,
+        actorTag: actor ? actor.tag : 'unknown',
+        steamid: steamid,
+        playerName: (after || before)?.name || null,
+        before: before,
+        after: after,
+        reason: null,
+        guildId: null, // guild the action was taken in, its audit channels get the embed
+        timestamp: Math.floor(Date.now() / 1000),
+        revertedBy: null,
+        ...extra
+    };
+
+    auditLog.entries.push(entry);
+    if (auditLog.entries.length > AUDIT_LOG_LIMIT) {
+        auditLog.entries.splice(0, auditLog.entries.length - AUDIT_LOG_LIMIT);
+    }
+    writeJsonStore(AUDIT_LOG_FILE, auditLog);
+
+    return entry;
+}
+
+function findAuditEntry(id) {
+    return auditLog.entries.find(entry => entry.id === id) || null;
+}
+
+// Audited action types, with the title and color of their audit embed
+const AUDIT_ACTION_TYPES = {
+    set_rating: { label: 'Rating Change', color: 0xFFA500 },
+    set_elo_zero: { label: 'ELO Set to 0', color: 0xFF0000 },
+    nationality: { label: 'Nationality Change', color: 0x0099FF },
+    reset_ranks: { label: 'Ranks Reset', color: 0x8B0000 },
+    revert: { label: 'Revert', color: 0x00FF00 },
+    second_approval: { label: 'Second Approval Setting', color: 0x808080 },
+};
+
+// Describe one side of an audit entry for its embed
+function describeAuditState(entry, state) {
+    if (!state) {
+        return 'Unknown';
+    }
+    if (entry.type === 'reset_ranks') {
+        return state.players !== undefined ?
+        `${state.players} players (${state.rankedPlayers} ranked), archived as ${state.seasonName}` :
+        `Everyone at ${state.elo} ELO with 0 games`;
+    }
+    if (entry.type === 'second_approval') {
+        return state.requireSecondApproval ? 'Second admin approval required' : 'Second admin approval off';
+    }
+    return [
+        `Rating: ${state.elo}`,
+        `Games: ${state.pastgames}`,
+        `Nationality: ${state.nationality || 'none'}`
+    ].join('\n');
+}
+
+// The embed posted to the audit channels for an entry
+function buildAuditEmbed(entry) {
+    const actionType = AUDIT_ACTION_TYPES[entry.type] || { label: entry.type, color: 0x808080 };
+    const target = entry.steamid ? `${entry.playerName || 'Unknown'} (${entry.steamid})` : (entry.playerName || 'All players');
+
+    const fields = [
+        { name: 'Actor', value: entry.actorId ? `<@${entry.actorId}> (${entry.actorTag})` : entry.actorTag, inline: true },
+        { name: 'Target', value: target, inline: true },
+        { name: 'Before', value: describeAuditState(entry, entry.before), inline: false },
+        { name: 'After', value: describeAuditState(entry, entry.after), inline: false },
+        { name: 'Reason', value: entry.reason || 'No reason given', inline: false },
+    ];
+    if (entry.approvedBy) {
+        fields.splice(1, 0, { name: 'Approved By', value: entry.approvedBy, inline: true });
+    }
+    if (entry.revertOf) {
+        fields.push({ name: 'Reverts', value: `#${entry.revertOf}`, inline: true });
+    }
+
+    return {
+        color: actionType.color,
+        title: `Audit #${entry.id}: ${actionType.label}`,
+        fields: fields,
+        timestamp: new Date(entry.timestamp * 1000),
+        footer: {
+            text: entry.steamid ? `Undo with /revert action_id:${entry.id}` : 'BPL Rankings audit log',
+        },
+    };
+}
+
+// Post an audit entry to the audit channels of the guild it was made in
+async function postAuditEntry(entry) {
+    const auditEmbed = buildAuditEmbed(entry);
+    for (const channelId of getAuditChannels(entry.guildId)) {
+        try {
+            const channel = await client.channels.fetch(channelId);
+            if (channel) {
+                await channel.send({ embeds: [auditEmbed] });
+            }
+        } catch (error) {
+            console.error(`Error posting audit entry to channel ${channelId}:`, error);
+        }
+    }
+}
+
+// Audit entries about a player (Steam ID or part of the name) or by an actor, newest first
+function searchAuditLog(filters, count) {
+    const search = filters.player ? filters.player.trim().toLowerCase() : null;
+    return auditLog.entries
+    .filter(entry => !filters.actorId || entry.actorId === filters.actorId)
+    .filter(entry => !search || entry.steamid === filters.player.trim() ||
+    (entry.playerName && entry.playerName.toLowerCase().includes(search)))
+    .slice(-count)
+    .reverse();
+}
+
+// Describe what changed between two player snapshots, e.g. "rating 2100 → 0, games 40 → 40"
+function describeStateChange(before, after) {
+    if (!before || !after) {
+        return 'unknown change';
+    }
+
+    const changes = [];
+    if (before.elo !== after.elo) changes.push(`rating ${before.elo} → ${after.elo}`);
+    if (before.pastgames !== after.pastgames) changes.push(`games ${before.pastgames} → ${after.pastgames}`);
+    if (before.nationality !== after.nationality) changes.push(`nationality ${before.nationality || 'none'} → ${after.nationality || 'none'}`);
+    return changes.length > 0 ? changes.join(', ') : 'no change';
+}
+
+// The latest manual change of a player's rating, shown on their /rank
+function getLatestRatingAdjustment(steamid) {
+    for (let i = auditLog.entries.length - 1; i >= 0; i--) {
+        const entry = auditLog.entries[i];
+        if (entry.steamid !== steamid) continue;
+        // Reverts only count when they put a rating back, not a flag
+        if (['set_rating', 'set_elo_zero'].includes(entry.type) ||
+            (entry.type === 'revert' && entry.before && entry.after && entry.before.elo !== entry.after.elo)) {
+            return entry;
+        }
+    }
+    return null;
+}
+
+// DM the Discord user linked to a player about a manual change, if there is one
+async function notifyLinkedPlayer(steamid, content) {
+    const userId = findUserLinkedTo(steamid);
+    if (!userId) {
+        return false;
+    }
+
+    try {
+        const user = await client.users.fetch(userId);
+        await user.send({ content: content });
+        return true;
+    } catch (error) {
+        console.log(`Could not DM linked user ${userId} about a change to ${steamid}: ${error.message}`);
+        return false;
+    }
+}
+
+// One line summary of an audit entry for /audit
+function formatAuditEntry(entry) {
+    let change;
+    if (entry.type === 'reset_ranks') {
+        change = `everyone reset to ${entry.after?.elo}`;
+    } else if (entry.type === 'second_approval') {
+        change = `second admin approval turned ${entry.after?.requireSecondApproval ? 'on' : 'off'}`;
+    } else {
+        change = `${entry.playerName || entry.steamid}: ${describeStateChange(entry.before, entry.after)}`;
+    }
+    let line = `**#${entry.id}** <t:${entry.timestamp}:R> \`${entry.type}\` ${change} by ${entry.actorTag}`;
+    if (entry.reason) {
+        line += `: "${entry.reason}"`;
+    }
+    if (entry.revertOf) {
+        line += ` (reverts #${entry.revertOf})`;
+    }
+    if (entry.revertedBy) {
+        line += ` (reverted by #${entry.revertedBy})`;
+    }
+    return line;
+}
+
+// Insert a rankings row restoring a player's earlier state
+async function insertPlayerRow(steamid, values) {
+    const insertQuery = `
+    INSERT INTO \`Main.rankings\` (name, steamid, elo, timestamp, nationality, pastgames)
+    VALUES (@name, @steamid, @elo, @timestamp, @nationality, @pastgames)
+    `;
+
+    await bigqueryClient.query({
+        query: insertQuery,
+        params: {
+            name: values.name,
+            steamid: steamid,
+            elo: values.elo,
+            timestamp: Math.floor(Date.now() / 1000),
+            nationality: values.nationality,
+            pastgames: values.pastgames
+        },
+        types: {
+            name: 'STRING',
+            steamid: 'STRING',
+            elo: 'INT64',
+            timestamp: 'INT64',
+            nationality: 'STRING',
+            pastgames: 'INT64'
+        }
+    });
+}
+
+// Restore the player's state from before an audited action. The interaction must already be replied to or deferred.
+async function applyRevert(interaction, entryId) {
+    const entry = findAuditEntry(entryId);
+    if (!entry || !entry.steamid || !entry.before) {
+        await interaction.editReply({ content: `Action #${entryId} can't be reverted.` });
+        return;
+    }
+    if (entry.revertedBy) {
+        await interaction.editReply({ content: `Action #${entryId} was already reverted by #${entry.revertedBy}.` });
+        return;
+    }
+
+    const currentRow = await getLatestPlayerRow(entry.steamid);
+    if (!currentRow) {
+        await interaction.editReply({ content: `Error: No player found with Steam ID ${entry.steamid}` });
+        return;
+    }
+
+    // Keep the player's current name and everything since, only the values the action changed are restored
+    const restored = snapshotPlayerRow(currentRow);
+    for (const field of ['elo', 'pastgames', 'nationality']) {
+        if (!entry.after || entry.before[field] !== entry.after[field]) {
+            restored[field] = entry.before[field];
+        }
+    }
+    await insertPlayerRow(entry.steamid, restored);
+
+    const revertEntry = recordAuditEntry('revert', interaction.user, entry.steamid, snapshotPlayerRow(currentRow), restored, { revertOf: entry.id, guildId: interaction.guildId });
+    entry.revertedBy = revertEntry.id;
+    writeJsonStore(AUDIT_LOG_FILE, auditLog);
+
+    const change = describeStateChange(snapshotPlayerRow(currentRow), restored);
+    await interaction.editReply({
+        content: `↩️ Action #${entry.id} reverted for **${currentRow.name}** (${entry.steamid}): ${change}. (action #${revertEntry.id})\n\nRanks channels will be updated shortly.`
+    });
+
+    // Log the action
+    console.log(`Action #${entry.id} reverted for ${currentRow.name} (${entry.steamid}) by ${interaction.user.tag} (${interaction.user.id})`);
+
+    // Announce in the audit channels
+    await postAuditEntry(revertEntry);
+
+    // Update all ranks channels
+    await updateAllRanks();
+}
+
+// Latest row of a player in the rankings table, or null if the Steam ID isn't there
+async function getLatestPlayerRow(steamId) {
+    const selectQuery = `
+    SELECT *
+    FROM \`Main.rankings\`
+    WHERE steamid = @steamid
+    ORDER BY timestamp DESC
+    LIMIT 1
+    `;
+
+    const selectOptions = {
+        query: selectQuery,
+        params: { steamid: steamId },
+        types: { steamid: 'STRING' }
+    };
+
+    const [rows] = await bigqueryClient.query(selectOptions);
+    return rows.length > 0 ? rows[0] : null;
+}
+
+// Ask for confirmation before setting a player's ELO to 0. The interaction must already be replied to or deferred.
+async function requestSetEloZero(interaction, playerData, options = {}) {
+    let preview = `⚠️ You are about to set the ELO of **${playerData.name}** (${playerData.steamid}) to 0.\n\n`;
+    preview += `**Rating:** ${playerData.elo} → 0\n`;
+    preview += `**Rank:** ${playerData.rank === -1 ? 'Unranked' : `#${playerData.rank}`} → last\n`;
+    preview += `**Reason:** ${options.reason || 'No reason given'}`;
+
+    await requestConfirmation(
+        interaction,
+        'set_elo_zero',
+        { steamId: playerData.steamid, name: playerData.name, reason: options.reason || null, notify: !!options.notify },
+        preview
+    );
+}
+
+// Write a new rating (and optionally games played) for a player. The interaction must already be replied to or deferred.
+async function applySetRating(interaction, params) {
+    const { steamId, rating: newRating, pastGames: pastGamesOption, reason, notify } = params;
+
+    try {
+        // Read the record again, it may have changed while the action waited for confirmation
+        const selectedRow = await getLatestPlayerRow(steamId);
+
+        if (!selectedRow) {
+            await interaction.editReply({
+                content: `Error: No player found with Steam ID ${steamId}`
+            });
+            return;
+        }
+
+        const oldRating = selectedRow.elo;
+
+        // Insert query with the updated rating - with explicit types for all parameters
+        const insertQuery = `
+        INSERT INTO \`Main.rankings\` (name, steamid, elo, timestamp, nationality, pastgames)
+        VALUES (@name, @steamid, @elo, @timestamp, @nationality, @pastgames)
+        `;
+
+        const insertOptions = {
+            query: insertQuery,
+            params: {
+                name: selectedRow.name,
+                steamid: selectedRow.steamid,
+                elo: newRating,
+                timestamp: Math.floor(Date.now() / 1000),
+                nationality: selectedRow.nationality,
+                pastgames: pastGamesOption !== null ? pastGamesOption : (selectedRow.pastgames || 0)
+            },
+            // Explicitly specify types for all parameters to handle null values
+            types: {
+                name: 'STRING',
+                steamid: 'STRING',
+                elo: 'INT64',
+                timestamp: 'INT64',
+                nationality: 'STRING',
+                pastgames: 'INT64'
+            }
+        };
+
+        await bigqueryClient.query(insertOptions);
+
+        const auditEntry = recordAuditEntry('set_rating', interaction.user, steamId, snapshotPlayerRow(selectedRow), {
+            ...snapshotPlayerRow(selectedRow),
+            elo: newRating,
+            pastgames: insertOptions.params.pastgames
+        }, { reason: reason || null, guildId: interaction.guildId });
+
+        // Determine if pastgames was updated
+        const oldPastGames = selectedRow.pastgames || 0;
+        const newPastGames = pastGamesOption !== null ? pastGamesOption : oldPastGames;
+        const pastGamesUpdated = pastGamesOption !== null;
+
+        // Send success message
+        let successMessage = `✅ Player **${selectedRow.name}** (${steamId}) rating has been changed from ${oldRating} to ${newRating}. (action #${auditEntry.id})`;
+
+        // Add information about pastgames if it was updated
+        if (pastGamesUpdated) {
+            successMessage += `\nGames played count has been changed from ${oldPastGames} to ${newPastGames}.`;
+        }
+
+        successMessage += `\n\nRanks channels will be updated shortly.`;
+
+        await interaction.editReply({
+            content: successMessage
+        });
+
+        // Log the action
+        console.log(`Rating changed for player ${selectedRow.name} (${steamId}) from ${oldRating} to ${newRating} by ${interaction.user.tag} (${interaction.user.id})`);
+
+        // Announce in the audit channels
+        await postAuditEntry(auditEntry);
+
+        if (notify) {
+            await notifyLinkedPlayer(steamId, `⚠️ An admin has changed your BPL rating from ${oldRating} to ${newRating}.${reason ? `\nReason: ${reason}` : ''}`);
+        }
+
+        // Update all ranks channels
+        await updateAllRanks();
+    } catch (error) {
+        console.error("Error in database operation:", error);
+        await interaction.editReply({
+            content: `Error: ${error.message || 'Failed to set player rating'}`
+        });
+    }
+}
+
+// Archive the season and reset every player's rating. The interaction must already be replied to or deferred.
+async function executeResetRanks(interaction, action) {
+    const defaultElo = action.params.defaultElo;
+    const performedBy = action.approvedBy ? `${action.userTag} (approved by ${action.approvedBy})` : action.userTag;
+
+    // Another reset may have used the name since this one was requested
+    if (findSeason(action.params.seasonName)) {
+        await interaction.editReply({
+            content: `A season named "${action.params.seasonName}" was archived since this reset was requested, the ranks were not reset. Run /reset_ranks again with a new season name.`
+        });
+        return;
+    }
+
+    // Archive the standings first, a reset without a snapshot would lose the season
+    let season;
+    try {
+        season = await archiveSeason(action.params.seasonName, action.userTag);
+        console.log(`Archived ${season.standings.length} players as ${season.name}`);
+    } catch (error) {
+        console.error("Error archiving season before reset:", error);
+        await interaction.editReply({
+            content: "Could not archive the current standings, the ranks were not reset."
+        });
+        return;
+    }
+
+    // The archive only goes when the reset itself failed, the steps after it can fail without undoing the reset
+    let result;
+    try {
+        // Call our backend function
+        result = await resetRanksViaBackend(defaultElo);
+    } catch (error) {
+        removeSeason(season);
+        console.error("Error processing reset after confirmation:", error);
+        await interaction.editReply({
+            content: "An error occurred while resetting ranks. Check the server logs for details."
+        });
+        return;
+    }
+
+    if (!result.success) {
+        removeSeason(season);
+        await interaction.editReply(`Error: ${result.message || 'Failed to reset ranks'}`);
+        return;
+    }
+
+    try {
+        // Send success message
+        await interaction.editReply({
+            content: `🔄 All player ranks have been reset to ${defaultElo} ELO with 0 past games.\n\nRanks channels will be updated shortly.`
+        });
+
+        // Log the action
+        console.log(`Ranks reset to ${defaultElo} by ${performedBy}`);
+
+        // Record the reset and announce it in the audit channels
+        const auditEntry = recordAuditEntry('reset_ranks', { id: action.userId, tag: action.userTag }, null,
+            { players: action.params.players, rankedPlayers: season.standings.length, seasonName: season.name },
+            { elo: defaultElo, pastgames: 0 },
+            { approvedBy: action.approvedBy || null, guildId: action.guildId });
+        await postAuditEntry(auditEntry);
+
+        // Post the final standings of the season that just ended
+        const standingsEmbed = {
+            color: 0xFFD700,
+            title: `🏆 ${season.name} Final Standings`,
+            description: formatSeasonStandings(season),
+            timestamp: new Date(),
+            footer: {
+                text: `${season.standings.length} ranked players | /season standings season:${season.name}`,
+            },
+        };
+        for (const channelId of getMatchResultsChannels()) {
+            try {
+                const channel = await client.channels.fetch(channelId);
+                if (channel) {
+                    await channel.send({ embeds: [standingsEmbed] });
+                }
+            } catch (error) {
+                console.error(`Error sending final standings to channel ${channelId}:`, error);
+            }
+        }
+
+        // Update all ranks channels
+        await updateAllRanks();
+    } catch (error) {
+        console.error("Error finishing reset after confirmation:", error);
+        await interaction.editReply({
+            content: `The ranks were reset and ${season.name} was archived, but announcing the reset failed. Check the server logs for details.`
+        });
+    }
+}
+
+// Turn a guild's second admin approval on or off and record the change in the audit log, returns the audit entry
+async function setSecondApproval(guildId, enabled, actor, approvedBy = null) {
+    const settings = getGuildSettings(guildId);
+    const before = { requireSecondApproval: settings.requireSecondApproval };
+    settings.requireSecondApproval = enabled;
+    saveGuildSettings();
+
+    const guild = client.guilds.cache.get(guildId);
+    const auditEntry = recordAuditEntry('second_approval', actor, null, before, { requireSecondApproval: enabled }, {
+        playerName: `Settings of ${guild ? guild.name : guildId}`,
+        approvedBy: approvedBy,
+        guildId: guildId
+    });
+    console.log(`Second admin approval for guild ${guildId} turned ${enabled ? 'on' : 'off'} by ${actor.tag} (${actor.id})${approvedBy ? `, approved by ${approvedBy}` : ''}`);
+    await postAuditEntry(auditEntry);
+    return auditEntry;
+}
+
+// Destructive admin actions that go through requestConfirmation.
+// wholeDatabase actions need a second admin's approval in guilds that turned it on with /config second_approval.
+const confirmableActions = {
+    reset_ranks: {
+        name: 'Ranks reset',
+        confirmLabel: 'Confirm Reset',
+        wholeDatabase: true,
+        execute: (interaction, action) => executeResetRanks(interaction, action),
+    },
+    set_elo_zero: {
+        name: 'ELO reset',
+        confirmLabel: 'Set ELO to 0',
+        wholeDatabase: false,
+        execute: (interaction, action) => applySetEloZero(interaction, action.params.steamId, action.params.name, action.params),
+    },
+    set_rating: {
+        name: 'Rating change',
+        confirmLabel: 'Change Rating',
+        wholeDatabase: false,
+        execute: (interaction, action) => applySetRating(interaction, action.params),
+    },
+    revert: {
+        name: 'Revert',
+        confirmLabel: 'Revert',
+        wholeDatabase: false,
+        execute: (interaction, action) => applyRevert(interaction, action.params.entryId),
+    },
+    // Turning the approval off needs the approval it controls, so one admin can't switch it off and reset alone
+    disable_second_approval: {
+        name: 'Second approval change',
+        confirmLabel: 'Turn Off Approval',
+        wholeDatabase: true,
+        execute: async (interaction, action) => {
+            const auditEntry = await setSecondApproval(action.guildId, false, { id: action.userId, tag: action.userTag }, action.approvedBy);
+            await interaction.editReply({
+                content: `✅ Whole-database actions no longer need a second admin's approval. (action #${auditEntry.id})`
+            });
+        },
+    },
+};
+
+function savePendingActions() {
+    writeJsonStore(PENDING_ACTIONS_FILE, pendingActions);
+}
+
+// Forget a pending action and its expiry timer
+function removePendingAction(actionId) {
+    delete pendingActions.actions[actionId];
+    savePendingActions();
+
+    clearTimeout(pendingActionTimers.get(actionId));
+    pendingActionTimers.delete(actionId);
+}
+
+// Text of a confirmation message: the preview of the change plus what the action is waiting for
+function buildConfirmationContent(action) {
+    let status;
+    if (action.requiresApproval && action.confirmedAt) {
+        status = `✅ Confirmed by <@${action.userId}>. Waiting for another admin to approve, expires <t:${Math.floor(action.expiresAt / 1000)}:R>.`;
+    } else if (action.requiresApproval) {
+        status = `This action needs confirmation by <@${action.userId}> and approval by a second admin. Expires <t:${Math.floor(action.expiresAt / 1000)}:R>.`;
+    } else {
+        status = `Expires <t:${Math.floor(action.expiresAt / 1000)}:R>.`;
+    }
+
+    return splitMessage(`${action.preview}\n\n${status}`)[0];
+}
+
+// Confirm (or Approve, once confirmed) and Cancel buttons of a pending action
+function buildConfirmationButtons(action) {
+    const waitingForApproval = action.requiresApproval && action.confirmedAt;
+
+    const confirmButton = new ButtonBuilder()
+    .setCustomId(`${waitingForApproval ? 'approve_action' : 'confirm_action'}_${action.id}`)
+    .setLabel(waitingForApproval ? 'Approve' : confirmableActions[action.type].confirmLabel)
+    .setStyle(ButtonStyle.Danger);
+
+    const cancelButton = new ButtonBuilder()
+    .setCustomId(`cancel_action_${action.id}`)
+    .setLabel('Cancel')
+    .setStyle(ButtonStyle.Secondary);
+
+    return new ActionRowBuilder()
+    .addComponents(confirmButton, cancelButton);
+}
+
+// Show a preview of a destructive admin action with Confirm/Cancel buttons.
+// The action runs through confirmableActions[type].execute once confirmed (and approved, if needed).
+// The interaction must already be replied to or deferred.
+async function requestConfirmation(interaction, type, params, preview, files = []) {
+    const settings = interaction.guildId ? getGuildSettings(interaction.guildId) : null;
+
+    const action = {
+        id: crypto.randomBytes(6).toString('hex'),
+        type: type,
+        params: params,
+        preview: preview,
+        userId: interaction.user.id,
+        userTag: interaction.user.tag,
+        guildId: interaction.guildId,
+        channelId: interaction.channelId,
+        messageId: null,
+        requiresApproval: !!(confirmableActions[type].wholeDatabase && settings && settings.requireSecondApproval),
+        confirmedAt: null,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + CONFIRMATION_TTL
+    };
+
+    const message = await interaction.editReply({
+        content: buildConfirmationContent(action),
+        embeds: [],
+        components: [buildConfirmationButtons(action)],
+        files: files
+    });
+    action.messageId = message.id;
+
+    pendingActions.actions[action.id] = action;
+    savePendingActions();
+    schedulePendingActionExpiry(action);
+
+    console.log(`${type} ${action.id} requested by ${interaction.user.tag} (${interaction.user.id})`);
+}
+
+// Expire a pending action when its time is up
+function schedulePendingActionExpiry(action) {
+    clearTimeout(pendingActionTimers.get(action.id));
+    pendingActionTimers.set(action.id, setTimeout(() => {
+        expirePendingAction(action.id).catch(error => console.error(`Error expiring ${action.type} ${action.id}:`, error));
+    }, Math.max(action.expiresAt - Date.now(), 0)));
+}
+
+// Drop an expired action and say so on its confirmation message
+async function expirePendingAction(actionId) {
+    const action = pendingActions.actions[actionId];
+    if (!action) {
+        return;
+    }
+
+    removePendingAction(actionId);
+    console.log(`${action.type} ${action.id} expired`);
+
+    try {
+        const channel = await client.channels.fetch(action.channelId);
+        const message = await channel.messages.fetch(action.messageId);
+        await message.edit({
+            content: `⏱️ ${confirmableActions[action.type].name} confirmation has expired.`,
+            components: []
+        });
+    } catch (error) {
+        console.error("Error updating expired confirmation message:", error);
+    }
+}
+
+// Restart the expiry timers of the actions saved before a restart, expiring the ones whose time ran out
+function restorePendingActions() {
+    for (const action of Object.values(pendingActions.actions)) {
+        if (!confirmableActions[action.type]) {
+            removePendingAction(action.id);
+            continue;
+        }
+        schedulePendingActionExpiry(action);
+    }
+}
+
+// Resolve the players of a /compare one at a time (asking the user when a name is ambiguous),
+// then reply with the comparison. The interaction must already be replied to or deferred.
+async function replyWithComparison(interaction, allRanks, queries) {
+    const players = [];
+
+    for (let slot = 0; slot < queries.length; slot++) {
+        const resolved = resolvePlayer(allRanks, queries[slot]);
+
+        if (!resolved.player && resolved.candidates.length > 1) {
+            await promptPlayerSelection(interaction, resolved.candidates, 'compare', { queries: queries, slot: slot });
+            return;
+        }
+
+        if (!resolved.player) {
+            await interaction.editReply({ content: `Could not find a player matching "${queries[slot]}" in the rankings.`, components: [] });
+            return;
+        }
+
+        players.push(resolved.player);
+    }
+
+    const [player1, player2] = players;
+
+    if (player1.steamid === player2.steamid) {
+        await interaction.editReply({ content: "Pick two different players to compare.", components: [] });
+        return;
+    }
+
+    const describePlayer = (player) => {
+        const statusInfo = getPlayerStatus(player.pastgames || 0);
+        return [
+            `Rating: **${player.elo}**`,
+            `Rank: ${player.rank === -1 ? 'Unranked' : `#${player.rank}`}`,
+            `Games: ${player.pastgames || 0}`,
+            `Tier: ${statusInfo.status}`
+        ].join('\n');
+    };
+
+    const player1Chance = expectedScore(player1.elo, player2.elo);
+    const record = getHeadToHeadRecord(player1, player2);
+
+    const compareEmbed = {
+        color: getRankColor(Math.min(player1.absoluteRank, player2.absoluteRank)),
+        title: `${player1.name} vs ${player2.name}`,
+        fields: [
+            {
+                name: `${player1.nationality || ''} ${player1.name}`,
+                value: describePlayer(player1),
+                inline: true,
+            },
+            {
+                name: `${player2.nationality || ''} ${player2.name}`,
+                value: describePlayer(player2),
+                inline: true,
+            },
+            {
+                name: '1v1 Win Chance',
+                value: `${player1.name}: ${(player1Chance * 100).toFixed(1)}%\n${player2.name}: ${((1 - player1Chance) * 100).toFixed(1)}%`,
+                inline: false,
+            },
+            {
+                name: 'As Opponents',
+                value: record.against.games > 0
+                ? `${record.against.games} matches: ${player1.name} won ${record.against.player1Wins}, ${player2.name} won ${record.against.games - record.against.player1Wins}`
+                : 'No recorded matches against each other',
+                inline: false,
+            },
+            {
+                name: 'As Teammates',
+                value: record.together.games > 0
+                ? `${record.together.games} matches: ${record.together.wins}W ${record.together.games - record.together.wins}L`
+                : 'No recorded matches together',
+                inline: false,
+            },
+        ],
+        timestamp: new Date(),
+        footer: {
+            text: `BPL Rankings | Records cover the last ${matchHistory.matches.length} recorded matches`,
+        },
+    };
+
+    await interaction.editReply({ content: '', embeds: [compareEmbed], components: [] });
+}
+
+// /players search results, kept so their pages stay the same while the admin browses them
+const PLAYER_SEARCH_PAGE_SIZE = 20;
+const PLAYER_SEARCH_SESSION_TTL = 30 * 60 * 1000; // ms
+const playerSearchSessions = new Map();
+
+// Turn a name pattern into a test: * and ? are wildcards, anything else matches part of the name
+function buildNamePattern(pattern) {
+    const search = pattern.trim().toLowerCase();
+    if (!/[*?]/.test(search)) {
+        return (name) => name.toLowerCase().includes(search);
+    }
+
+    const escaped = search.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    const regex = new RegExp(`^${escaped}$`);
+    return (name) => regex.test(name.toLowerCase());
+}
+
+// Players matching every filter that is set
+function filterPlayers(allRanks, filters) {
+    const matchesName = filters.name ? buildNamePattern(filters.name) : null;
+
+    return allRanks.filter(player => {
+        const games = player.pastgames || 0;
+        if (matchesName && !matchesName(player.name)) return false;
+        if (filters.minElo !== null && player.elo < filters.minElo) return false;
+        if (filters.maxElo !== null && player.elo > filters.maxElo) return false;
+        if (filters.minGames !== null && games < filters.minGames) return false;
+        if (filters.maxGames !== null && games > filters.maxGames) return false;
+        if (filters.noNationality && player.nationality) return false;
+        if (filters.nationality && player.nationality !== filters.nationality) return false;
+        if (filters.unrankedOnly && player.rank !== -1) return false;
+        return true;
+    });
+}
+
+// Short description of the filters of a search, for the results footer
+function describePlayerFilters(filters) {
+    const parts = [];
+    if (filters.name) parts.push(`name "${filters.name}"`);
+    if (filters.minElo !== null || filters.maxElo !== null) parts.push(`rating ${filters.minElo ?? '…'}-${filters.maxElo ?? '…'}`);
+    if (filters.minGames !== null || filters.maxGames !== null) parts.push(`games ${filters.minGames ?? '…'}-${filters.maxGames ?? '…'}`);
+    if (filters.noNationality) parts.push('no flag');
+    if (filters.nationality) parts.push(`flag ${filters.nationality}`);
+    if (filters.unrankedOnly) parts.push('unranked only');
+    return parts.length > 0 ? parts.join(', ') : 'none';
+}
+
+// Embed and page buttons for one page of /players results
+function buildPlayerSearchPage(sessionId, session) {
+    const pageCount = Math.max(1, Math.ceil(session.results.length / PLAYER_SEARCH_PAGE_SIZE));
+    const pagePlayers = session.results.slice(session.page * PLAYER_SEARCH_PAGE_SIZE, (session.page + 1) * PLAYER_SEARCH_PAGE_SIZE);
+
+    const lines = pagePlayers.map(player => {
+        const rank = player.rank === -1 ? 'Unranked' : `#${player.rank}`;
+        const prefix = player.nationality ? `${player.nationality} ` : '';
+        return `${rank} ${prefix}**${player.name}** — ${player.elo} (${player.pastgames || 0} games) \`${player.steamid}\``;
+    });
+
+    const searchEmbed = {
+        color: 0x0099FF,
+        title: 'Player Search',
+        description: lines.length > 0 ? lines.join('\n') : 'No players match these filters.',
+        timestamp: new Date(),
+        footer: {
+            text: `Page ${session.page + 1}/${pageCount} | ${session.results.length} players | Filters: ${describePlayerFilters(session.filters)}`,
+        },
+    };
+
+    const previousButton = new ButtonBuilder()
+    .setCustomId(`players_prev_${sessionId}`)
+    .setLabel('Previous')
+    .setStyle(ButtonStyle.Secondary)
+    .setDisabled(session.page === 0);
+
+    const nextButton = new ButtonBuilder()
+    .setCustomId(`players_next_${sessionId}`)
+    .setLabel('Next')
+    .setStyle(ButtonStyle.Secondary)
+    .setDisabled(session.page >= pageCount - 1);
+
+    const row = new ActionRowBuilder()
+    .addComponents(previousButton, nextButton);
+
+    return { content: '', embeds: [searchEmbed], components: pageCount > 1 ? [row] : [] };
+}
+
+// Team balancer settings for /balance
+const BALANCE_EXHAUSTIVE_LIMIT = 14; // lobbies up to this size try every split
+const BALANCE_MAX_PLAYERS = 24;
+const BALANCE_ALTERNATIVES = 10; // near-equal splits kept for the Reroll button
+const BALANCE_SESSION_TTL = 30 * 60 * 1000; // ms
+const balanceSessions = new Map();
+
+// Turn a /balance or /predict player list into players from the rankings.
+// Accepts comma separated names or Steam IDs and @mentions of linked users.
+// Returns { players } or { error } describing the first entry that couldn't be matched.
+function parsePlayerList(allRanks, input) {
+    const players = [];
+    const mentionPattern = /<@!?(\d+)>/g;
+
+    for (const [, userId] of input.matchAll(mentionPattern)) {
+        const steamId = getLinkedSteamId(userId);
+        const playerData = steamId ? allRanks.find(player => player.steamid === steamId) : null;
+        if (!playerData) {
+            return { error: `<@${userId}> has not linked a Steam ID that is in the rankings.` };
+        }
+        players.push(playerData);
+    }
+
+    const queries = input.replace(mentionPattern, ',').split(/[,\n]+/).map(query => query.trim()).filter(query => query.length > 0);
+    for (const query of queries) {
+        const resolved = resolvePlayer(allRanks, query);
+        if (!resolved.player && resolved.candidates.length > 1) {
+            const names = resolved.candidates.slice(0, 5).map(player => player.name).join(', ');
+            return { error: `Several players match "${query}" (${names}${resolved.candidates.length > 5 ? ', ...' : ''}). Use the full name or Steam ID.` };
+        }
+        if (!resolved.player) {
+            return { error: `Could not find a player matching "${query}" in the rankings.` };
+        }
+        players.push(resolved.player);
+    }
+
+    // The same player listed twice is almost certainly a mistake
+    const seen = new Set();
+    for (const player of players) {
+        if (seen.has(player.steamid)) {
+            return { error: `${player.name} is listed more than once.` };
+        }
+        seen.add(player.steamid);
+    }
+
+    return { players: players };
+}
+
+// Average rating of a team, which is what the backend uses as the team rating
+function getTeamRating(team) {
+    return team.length > 0 ? team.reduce((sum, player) => sum + player.elo, 0) / team.length : 0;
+}
+
+// Describe a split of players (given as team 1 indexes) with its team ratings and gap
+function buildSplit(players, team1Indexes) {
+    const team1 = players.filter((player, index) => team1Indexes.includes(index));
+    const team2 = players.filter((player, index) => !team1Indexes.includes(index));
+    const team1Rating = getTeamRating(team1);
+    const team2Rating = getTeamRating(team2);
+    return {
+        team1: team1,
+        team2: team2,
+        team1Rating: team1Rating,
+        team2Rating: team2Rating,
+        gap: Math.abs(team1Rating - team2Rating),
+        key: [...team1Indexes].sort((a, b) => a - b).join(',')
+    };
+}
+
+// Find the most even ways to split players into two teams, best first.
+// Small lobbies try every split, larger ones use a snake draft improved by swaps from random starts.
+function findBalancedSplits(players, count = BALANCE_ALTERNATIVES) {
+    const teamSize = Math.floor(players.length / 2);
+    const splits = new Map();
+
+    const addSplit = (team1Indexes) => {
+        const split = buildSplit(players, team1Indexes);
+        // With even teams, a split and its mirror are the same split
+        const mirrorKey = players.length % 2 === 0
+        ? players.map((player, index) => index).filter(index => !team1Indexes.includes(index)).join(',')
+        : null;
+        if (!splits.has(split.key) && !splits.has(mirrorKey)) {
+            splits.set(split.key, split);
+        }
+    };
+
+    if (players.length <= BALANCE_EXHAUSTIVE_LIMIT) {
+        const choose = (start, chosen) => {
+            if (chosen.length === teamSize) {
+                addSplit(chosen);
+                return;
+            }
+            for (let i = start; i <= players.length - (teamSize - chosen.length); i++) {
+                choose(i + 1, [...chosen, i]);
+            }
+        };
+        choose(0, []);
+    } else {
+        // Improve a split by swapping players between teams while that narrows the gap
+        const improve = (team1Indexes) => {
+            let current = [...team1Indexes];
+            let improved = true;
+            while (improved) {
+                improved = false;
+                const currentGap = buildSplit(players, current).gap;
+                for (let i = 0; i < current.length && !improved; i++) {
+                    for (let j = 0; j < players.length && !improved; j++) {
+                        if (current.includes(j)) continue;
+                        const candidate = current.map(index => (index === current[i] ? j : index));
+                        if (buildSplit(players, candidate).gap < currentGap) {
+                            current = candidate;
+                            improved = true;
+                        }
+                    }
+                }
+            }
+            return current;
+        };
+
+        // Snake draft by rating as the first start, then random starts for alternatives
+        const byRating = players.map((player, index) => index).sort((a, b) => players[b].elo - players[a].elo);
+        const snake = byRating.filter((index, position) => position % 4 === 0 || position % 4 === 3).slice(0, teamSize);
+        addSplit(improve(snake));
+
+        for (let attempt = 0; attempt < 200; attempt++) {
+            const shuffled = players.map((player, index) => index).sort(() => Math.random() - 0.5);
+            addSplit(improve(shuffled.slice(0, teamSize)));
+        }
+    }
+
+    return [...splits.values()].sort((a, b) => a.gap - b.gap).slice(0, count);
+}
+
+// Build the /balance reply for one of the session's splits
+function buildBalanceMessage(sessionId, session) {
+    const split = session.splits[session.index];
+    const team1Chance = expectedScore(split.team1Rating, split.team2Rating);
+
+    const listTeam = (team) => team
+    .slice()
+    .sort((a, b) => b.elo - a.elo)
+    .map(player => `${player.nationality ? `${player.nationality} ` : ''}${player.name} (${player.elo})`)
+    .join('\n');
+
+    const balanceEmbed = {
+        color: 0x0099FF,
+        title: 'Balanced Teams',
+        fields: [
+            {
+                name: `Team 1 (avg ${Math.round(split.team1Rating)}, ${(team1Chance * 100).toFixed(1)}% win chance)`,
+                value: listTeam(split.team1).substring(0, 1024) || 'No players',
+                inline: true,
+            },
+            {
+                name: `Team 2 (avg ${Math.round(split.team2Rating)}, ${((1 - team1Chance) * 100).toFixed(1)}% win chance)`,
+                value: listTeam(split.team2).substring(0, 1024) || 'No players',
+                inline: true,
+            },
+        ],
+        timestamp: new Date(),
+        footer: {
+            text: `Option ${session.index + 1}/${session.splits.length} | Rating gap ${Math.round(split.gap)}`,
+        },
+    };
+
+    const rerollButton = new ButtonBuilder()
+    .setCustomId(`balance_reroll_${sessionId}`)
+    .setLabel('Reroll')
+    .setStyle(ButtonStyle.Primary)
+    .setDisabled(session.splits.length < 2);
+
+    const row = new ActionRowBuilder()
+    .addComponents(rerollButton);
+
+    return { content: '', embeds: [balanceEmbed], components: [row] };
+}
+
+// Projected rating change for a player whose team has the given expected score,
+// using their K-value from the cached config and the rating floor
+function projectRatingChange(player, teamExpected, won) {
+    const kValue = getPlayerStatus(player.pastgames || 0).kValue;
+    const delta = Math.round(kValue * ((won ? 1 : 0) - teamExpected));
+    const floor = cachedKValueConfig.defaultElo;
+
+    // Rating can't go below the floor, so a loss can't take a player past it
+    if (!won && floor !== undefined && player.elo + delta < floor) {
+        return { kValue: kValue, delta: Math.min(floor - player.elo, 0) };
+    }
+    return { kValue: kValue, delta: delta };
+}
+
+// Format the /predict reply for two teams, laid out like the match results tables
+function formatPrediction(team1, team2) {
+    const teamRatings = { "1": getTeamRating(team1), "2": getTeamRating(team2) };
+    const expected = { "1": expectedScore(teamRatings["1"], teamRatings["2"]) };
+    expected["2"] = 1 - expected["1"];
+
+    let resultString = `# Match Prediction\n\n`;
+    resultString += `**Team 1** (Rating: ${Math.round(teamRatings["1"])}, Win Chance: ${(expected["1"] * 100).toFixed(1)}%)\n`;
+    resultString += `**Team 2** (Rating: ${Math.round(teamRatings["2"])}, Win Chance: ${(expected["2"] * 100).toFixed(1)}%)\n\n`;
+
+    [["1", team1], ["2", team2]].forEach(([team, players]) => {
+        resultString += `### Team ${team} Players\n`;
+        resultString += "```\n";
+        resultString += "Player           | Rating | K   | Win   | Loss  | Games \n";
+        resultString += "-----------------|--------|-----|-------|-------|-------\n";
+
+        players.forEach(player => {
+            const win = projectRatingChange(player, expected[team], true);
+            const loss = projectRatingChange(player, expected[team], false);
+            const name = player.name.padEnd(16).substring(0, 16);
+            const rating = String(player.elo).padEnd(7);
+            const kValue = String(win.kValue).padEnd(4);
+            const winDelta = formatRatingChange(win.delta).padEnd(6);
+            const lossDelta = formatRatingChange(loss.delta).padEnd(6);
+            resultString += `${name} | ${rating}| ${kValue}| ${winDelta}| ${lossDelta}| ${player.pastgames || 0}\n`;
         });
 
-        resultString += "```\n";
-    }
+        resultString += "```\n";
+    });
+
+    // Same K-value explanation as the match results
+    const kValueConfig = cachedKValueConfig;
+    resultString += `\n**About K-Values:**\n`;
+    resultString += `• K=${kValueConfig.kValues.newPlayer}: ${kValueConfig.descriptions.newPlayer}\n`;
+    resultString += `• K=${kValueConfig.kValues.developingPlayer}: ${kValueConfig.descriptions.developingPlayer}\n`;
+    resultString += `• K=${kValueConfig.kValues.establishedPlayer}: ${kValueConfig.descriptions.establishedPlayer}\n`;
+    resultString += `\nWin/Loss show the projected rating change for each result.`;
+
+    return resultString;
+}
+
+// The rest of the Discord bot code remains the same as in the previous artifact
+
+// Handle the reset_ranks command in the interaction handler
+client.on(Events.InteractionCreate, async interaction => {
+    if (!interaction.isChatInputCommand()) return;
+
+    // Update the rank command handler to handle unranked players
+    if (interaction.commandName === 'rank') {
+        try {
+            // Always respond immediately to prevent timeout
+            await interaction.reply({ content: "Fetching rank information...", ephemeral: false });
+
+            // Get parameters from the command
+            const steamId = interaction.options.getString('steamid');
+            const name = interaction.options.getString('name');
+
+            // Get all ranking data
+            const allRanks = await getAllRanksData();
+            let playerData = null;
+
+            // If steamId is provided, search by that
+            if (steamId) {
+                playerData = allRanks.find(player => player.steamid === steamId);
+            }
+            // Otherwise search by name, asking which player was meant if several match
+            else if (name) {
+                const resolved = resolvePlayer(allRanks, name);
+                if (!resolved.player && resolved.candidates.length > 1) {
+                    await promptPlayerSelection(interaction, resolved.candidates, 'rank', { card: interaction.options.getBoolean('card') || false });
+                    return;
+                }
+                playerData = resolved.player;
+            }
+            // If no parameters, assume looking up self by Discord name
+            else {
+                playerData = findPlayerForDiscordUser(interaction.user, allRanks);
+            }
+
+            if (!playerData) {
+                let errorMessage = "Player not found in the rankings. They may not have played any ranked matches yet.";
+
+                // Customize error message based on the search method
+                if (steamId) {
+                    errorMessage = `Could not find a player with Steam ID: ${steamId} in the rankings.`;
+                } else if (name) {
+                    errorMessage = `Could not find a player with name matching "${name}" in the rankings.`;
+                } else {
+                    errorMessage = describeMissingSelf(interaction.user);
+                }
+
+                // Edit the original reply with the error message
+                await interaction.editReply({ content: errorMessage });
+                return;
+            }
+
+            await replyWithPlayerRank(interaction, playerData, { card: interaction.options.getBoolean('card') || false });
+
+        } catch (error) {
+            // If anything fails, log it and try to send a simple error message
+            console.error("Error in rank command:", error);
+            try {
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.editReply({ content: "An error occurred while fetching rank information." });
+                } else {
+                    await interaction.reply({ content: "An error occurred while fetching rank information." });
+                }
+            } catch (e) {
+                console.error("Failed to send error message:", e);
+            }
+        }
+    }
+
+    // Account link command handler
+    if (interaction.commandName === 'link') {
+        try {
+            const steamId = interaction.options.getString('steamid').trim();
+
+            if (!isValidSteamId64(steamId)) {
+                await interaction.reply({
+                    content: "That doesn't look like a steamId64. It should be 17 digits starting with 7656.",
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const currentOwner = findUserLinkedTo(steamId);
+            if (currentOwner && currentOwner !== interaction.user.id) {
+                await interaction.reply({
+                    content: "This Steam ID is already linked to another Discord account. Ask an admin if it's yours.",
+                    ephemeral: true
+                });
+                return;
+            }
+
+            // Without a Steam API key the link can't be verified, so it is stored as unverified
+            if (!LINK_VERIFICATION_ENABLED) {
+                setAccountLink(interaction.user.id, steamId);
+                await interaction.reply({
+                    content: `✅ Your Discord account is now linked to Steam ID ${steamId}.`,
+                    ephemeral: true
+                });
+                return;
+            }
+
+            // Ask the user to prove they own the Steam account by putting a code in their profile name
+            const code = `BPL-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+            accountLinks.pending[interaction.user.id] = {
+                steamid: steamId,
+                code: code,
+                createdAt: Date.now()
+            };
+            writeJsonStore(ACCOUNT_LINKS_FILE, accountLinks);
+
+            const verifyButton = new ButtonBuilder()
+            .setCustomId(`link_verify_${interaction.user.id}`)
+            .setLabel('Verify')
+            .setStyle(ButtonStyle.Primary);
+
+            const row = new ActionRowBuilder()
+            .addComponents(verifyButton);
+
+            await interaction.reply({
+                content: `To link Steam ID ${steamId}, add **${code}** to your Steam profile name, then press Verify.\nYou can change your name back once the link is done. The code expires <t:${Math.floor((Date.now() + LINK_CODE_TTL) / 1000)}:R>.`,
+                components: [row],
+                ephemeral: true
+            });
+        } catch (error) {
+            console.error("Error in link command:", error);
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: "An error occurred while linking your account." });
+            } else {
+                await interaction.reply({ content: "An error occurred while linking your account.", ephemeral: true });
+            }
+        }
+    }
+
+    // Account unlink command handler
+    if (interaction.commandName === 'unlink') {
+        try {
+            const steamId = removeAccountLink(interaction.user.id);
+            await interaction.reply({
+                content: steamId
+                ? `Your Discord account is no longer linked to Steam ID ${steamId}.`
+                : "Your Discord account is not linked to a Steam ID.",
+                ephemeral: true
+            });
+        } catch (error) {
+            console.error("Error in unlink command:", error);
+            await interaction.reply({ content: "An error occurred while unlinking your account.", ephemeral: true });
+        }
+    }
+
+    // Match history command handler
+    if (interaction.commandName === 'history') {
+        try {
+            const playerOption = interaction.options.getString('player');
+            const count = interaction.options.getInteger('count') || 10;
+
+            await interaction.deferReply();
+
+            const allRanks = await getAllRanksData();
+            let playerData = null;
+
+            if (playerOption) {
+                const resolved = resolvePlayer(allRanks, playerOption);
+                if (!resolved.player && resolved.candidates.length > 1) {
+                    await promptPlayerSelection(interaction, resolved.candidates, 'history', { count: count });
+                    return;
+                }
+                playerData = resolved.player;
+            } else {
+                playerData = findPlayerForDiscordUser(interaction.user, allRanks);
+            }
+
+            if (!playerData) {
+                await interaction.editReply({
+                    content: playerOption
+                    ? `Could not find a player matching "${playerOption}" in the rankings.`
+                    : describeMissingSelf(interaction.user)
+                });
+                return;
+            }
+
+            await replyWithMatchHistory(interaction, playerData, count);
+        } catch (error) {
+            console.error("Error in history command:", error);
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: "An error occurred while fetching match history." });
+            } else {
+                await interaction.reply({ content: "An error occurred while fetching match history.", ephemeral: true });
+            }
+        }
+    }
+
+    // Head to head comparison command handler
+    if (interaction.commandName === 'compare') {
+        try {
+            await interaction.deferReply();
+
+            const allRanks = await getAllRanksData();
+            await replyWithComparison(interaction, allRanks, [
+                interaction.options.getString('player1'),
+                interaction.options.getString('player2')
+            ]);
+        } catch (error) {
+            console.error("Error in compare command:", error);
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: "An error occurred while comparing players." });
+            } else {
+                await interaction.reply({ content: "An error occurred while comparing players.", ephemeral: true });
+            }
+        }
+    }
+
+    // Team balancer command handler
+    if (interaction.commandName === 'balance') {
+        try {
+            await interaction.deferReply();
+
+            const allRanks = await getAllRanksData();
+            const parsed = parsePlayerList(allRanks, interaction.options.getString('players'));
+
+            if (parsed.error) {
+                await interaction.editReply({ content: parsed.error });
+                return;
+            }
+
+            if (parsed.players.length < 2 || parsed.players.length > BALANCE_MAX_PLAYERS) {
+                await interaction.editReply({ content: `Please list between 2 and ${BALANCE_MAX_PLAYERS} players.` });
+                return;
+            }
+
+            const sessionId = crypto.randomBytes(6).toString('hex');
+            const session = {
+                userId: interaction.user.id,
+                splits: findBalancedSplits(parsed.players),
+                index: 0
+            };
+            balanceSessions.set(sessionId, session);
+            setTimeout(() => balanceSessions.delete(sessionId), BALANCE_SESSION_TTL);
+
+            await interaction.editReply(buildBalanceMessage(sessionId, session));
+        } catch (error) {
+            console.error("Error in balance command:", error);
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: "An error occurred while balancing teams." });
+            } else {
+                await interaction.reply({ content: "An error occurred while balancing teams.", ephemeral: true });
+            }
+        }
+    }
+
+    // Match prediction command handler
+    if (interaction.commandName === 'predict') {
+        try {
+            await interaction.deferReply();
+
+            const allRanks = await getAllRanksData();
+            const team1 = parsePlayerList(allRanks, interaction.options.getString('team1'));
+            const team2 = parsePlayerList(allRanks, interaction.options.getString('team2'));
+
+            const parseError = team1.error || team2.error;
+            if (parseError) {
+                await interaction.editReply({ content: parseError });
+                return;
+            }
+
+            if (team1.players.length === 0 || team2.players.length === 0) {
+                await interaction.editReply({ content: "Both teams need at least one player." });
+                return;
+            }
+
+            const duplicate = team1.players.find(player => team2.players.some(other => other.steamid === player.steamid));
+            if (duplicate) {
+                await interaction.editReply({ content: `${duplicate.name} can't play on both teams.` });
+                return;
+            }
+
+            // Big lobbies can go over the message limit, the rest follows in extra messages
+            const chunks = splitMessage(formatPrediction(team1.players, team2.players));
+            await interaction.editReply({ content: chunks[0] });
+            for (const chunk of chunks.slice(1)) {
+                await interaction.followUp({ content: chunk });
+            }
+        } catch (error) {
+            console.error("Error in predict command:", error);
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: "An error occurred while predicting the match." });
+            } else {
+                await interaction.reply({ content: "An error occurred while predicting the match.", ephemeral: true });
+            }
+        }
+    }
+
+    // Nationality command handler
+    if (interaction.commandName === 'nationality') {
+        try {
+            const subcommand = interaction.options.getSubcommand();
+
+            // Players ask for their own flag, an admin approves it in the admin channels
+            if (subcommand === 'request') {
+                const country = parseNationality(interaction.options.getString('flag'));
+                if (!country) {
+                    await interaction.reply({ content: "That isn't a flag I know. Pick one from the list, or use a country code like DE.", ephemeral: true });
+                    return;
+                }
+
+                // Every request is posted in all admin channels, so players can't send them back to back
+                const lastRequestAt = nationalityRequests.lastRequestAt[interaction.user.id];
+                if (lastRequestAt && Date.now() - lastRequestAt < NATIONALITY_REQUEST_COOLDOWN) {
+                    await interaction.reply({
+                        content: `You already sent a nationality request recently. You can send another one <t:${Math.floor((lastRequestAt + NATIONALITY_REQUEST_COOLDOWN) / 1000)}:R>.`,
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                // Only a linked account says which player is asking, a guess from the username could be someone else
+                const linkedSteamId = getLinkedSteamId(interaction.user.id);
+                if (!linkedSteamId) {
+                    await interaction.reply({
+                        content: "Link your Steam account with /link first, so the admins know the request comes from the player.",
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                await interaction.deferReply({ ephemeral: true });
+
+                const playerData = (await getAllRanksData()).find(player => player.steamid === linkedSteamId);
+                if (!playerData) {
+                    await interaction.editReply({ content: describeMissingSelf(interaction.user) });
+                    return;
+                }
+
+                if (playerData.nationality === country.flag) {
+                    await interaction.editReply({ content: `Your flag is already ${country.flag}.` });
+                    return;
+                }
+
+                const request = {
+                    id: crypto.randomBytes(6).toString('hex'),
+                    userId: interaction.user.id,
+                    userTag: interaction.user.tag,
+                    steamid: playerData.steamid,
+                    playerName: playerData.name,
+                    currentFlag: playerData.nationality || null,
+                    flag: country.flag,
+                    countryName: country.name,
+                    messages: [],
+                    createdAt: Date.now()
+                };
+
+                const approveButton = new ButtonBuilder()
+                .setCustomId(`nationality_approve_${request.id}`)
+                .setLabel('Approve')
+                .setStyle(ButtonStyle.Success);
+
+                const rejectButton = new ButtonBuilder()
+                .setCustomId(`nationality_reject_${request.id}`)
+                .setLabel('Reject')
+                .setStyle(ButtonStyle.Danger);
+
+                const row = new ActionRowBuilder()
+                .addComponents(approveButton, rejectButton);
+
+                const linkStatus = accountLinks.links[interaction.user.id].verified ? 'verified link' : 'unverified link';
+                const content = `🏳️ **Nationality request**: ${interaction.user} (${linkStatus}) wants **${playerData.name}** (${playerData.steamid}) to show ${country.flag} ${country.name} instead of ${playerData.nationality || 'no flag'}.`;
+                for (const channelId of getAdminLogChannels()) {
+                    try {
+                        const channel = await client.channels.fetch(channelId);
+                        if (channel) {
+                            const message = await channel.send({ content: content, components: [row] });
+                            request.messages.push({ channelId: channelId, messageId: message.id });
+                        }
+                    } catch (error) {
+                        console.error(`Error sending nationality request to channel ${channelId}:`, error);
+                    }
+                }
+
+                if (request.messages.length === 0) {
+                    await interaction.editReply({ content: "Your request couldn't be sent to the admins. Please ask an admin directly." });
+                    return;
+                }
+                nationalityRequests.lastRequestAt[interaction.user.id] = Date.now();
+
+                // The new request replaces the player's previous one, once it has been sent
+                const previousRequests = Object.values(nationalityRequests.requests).filter(previous => previous.steamid === playerData.steamid);
+                for (const previous of previousRequests) {
+                    delete nationalityRequests.requests[previous.id];
+                }
+                nationalityRequests.requests[request.id] = request;
+                saveNationalityRequests();
+
+                for (const previous of previousRequests) {
+                    await closeNationalityRequestMessages(previous, `🏳️ Nationality request of **${previous.playerName}** replaced by a newer request.`);
+                }
+
+                console.log(`Nationality request ${request.id} for ${playerData.name} (${playerData.steamid}) to ${country.flag} by ${interaction.user.tag} (${interaction.user.id})`);
+                await interaction.editReply({ content: `✅ Your request for ${country.flag} ${country.name} was sent to the admins. You'll get a DM when it's decided.` });
+                return;
+            }
+
+            // set and clear are for admins only
+            if (!isAdminMember(interaction.member)) {
+                await interaction.reply({
+                    content: "You need the admin role to change other players' flags. Use /nationality request to ask for yours.",
+                    ephemeral: true
+                });
+                return;
+            }
+
+            let flag = null;
+            if (subcommand === 'set') {
+                const country = parseNationality(interaction.options.getString('flag'));
+                if (!country) {
+                    await interaction.reply({ content: "That isn't a flag I know. Pick one from the list, or use a country code like DE.", ephemeral: true });
+                    return;
+                }
+                flag = country.flag;
+            }
+
+            const context = {
+                flag: flag,
+                reason: interaction.options.getString('reason')?.trim() || null,
+                notify: interaction.options.getBoolean('notify_player') || false
+            };
+
+            if (!context.reason && isReasonRequired(interaction.guildId)) {
+                await interaction.reply({
+                    content: "This server requires a reason for manual changes. Add one with the `reason` option.",
+                    ephemeral: true
+                });
+                return;
+            }
+
+            await interaction.deferReply();
+
+            const query = interaction.options.getString('player');
+            const resolved = resolvePlayer(await getAllRanksData(), query);
+
+            if (!resolved.player && resolved.candidates.length > 1) {
+                await promptPlayerSelection(interaction, resolved.candidates, 'nationality', context);
+                return;
+            }
+
+            if (!resolved.player) {
+                await interaction.editReply({ content: `Could not find a player matching "${query}" in the rankings.` });
+                return;
+            }
+
+            await applyNationalityCommand(interaction, resolved.player, context);
+        } catch (error) {
+            console.error("Error in nationality command:", error);
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: "An error occurred while changing the nationality.", components: [] });
+            } else {
+                await interaction.reply({ content: "An error occurred while changing the nationality.", ephemeral: true });
+            }
+        }
+    }
+
+    // Country standings command handler
+    if (interaction.commandName === 'countries') {
+        try {
+            await interaction.deferReply();
+
+            const sort = interaction.options.getString('sort') || 'top5';
+            const minPlayers = interaction.options.getInteger('min_players') || 1;
+
+            const allRanks = await getAllRanksData();
+            const countries = buildCountryStandings(allRanks)
+            .filter(country => country.players >= minPlayers)
+            .sort(COUNTRY_SORTS[sort]);
+
+            if (countries.length === 0) {
+                await interaction.editReply({ content: "No countries have enough ranked players." });
+                return;
+            }
+
+            const lines = countries.map((country, index) =>
+            `**${index + 1}.** ${country.flag} ${country.name} — top-5 avg **${country.top5Average}** · avg ${country.average} · ` +
+            `${country.players} player${country.players === 1 ? '' : 's'} · best: ${country.best.name} (${country.best.elo})`);
+
+            const rankedPlayers = allRanks.filter(player => player.rank !== -1);
+            const withoutFlag = rankedPlayers.filter(player => !player.nationality).length;
+
+            await interaction.editReply({
+                embeds: [{
+                    color: 0x0099FF,
+                    title: 'Country Standings',
+                    description: splitMessage(lines.join('\n'), 4096)[0],
+                    timestamp: new Date(),
+                    footer: {
+                        text: `${countries.length} countries | ${rankedPlayers.length} ranked players, ${withoutFlag} without a flag | /leaderboard nationality:<flag> for a country's board`,
+                    },
+                }]
+            });
+        } catch (error) {
+            console.error("Error in countries command:", error);
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: "An error occurred while building the country standings." });
+            } else {
+                await interaction.reply({ content: "An error occurred while building the country standings.", ephemeral: true });
+            }
+        }
+    }
+
+    // Season command handler
+    if (interaction.commandName === 'season') {
+        try {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'list') {
+                if (seasonArchive.seasons.length === 0) {
+                    await interaction.reply({ content: "No seasons have been archived yet.", ephemeral: true });
+                    return;
+                }
+
+                const lines = [...seasonArchive.seasons].reverse().map(season => {
+                    const winner = season.standings[0];
+                    return `**${season.name}** - ended <t:${season.endedAt}:D>, ${season.standings.length} ranked players` +
+                    (winner ? `, won by ${winner.name} (${winner.elo})` : '');
+                });
+
+                await interaction.reply({
+                    embeds: [{
+                        color: 0x0099FF,
+                        title: 'Past Seasons',
+                        description: splitMessage(lines.join('\n'), 4096)[0],
+                        timestamp: new Date(),
+                    }]
+                });
+                return;
+            }
+
+            const season = findSeason(interaction.options.getString('season'));
+            if (!season) {
+                await interaction.reply({
+                    content: `No season named "${interaction.options.getString('season')}". Use /season list to see the archived seasons.`,
+                    ephemeral: true
+                });
+                return;
+            }
+
+            await interaction.reply({
+                embeds: [{
+                    color: 0xFFD700,
+                    title: `🏆 ${season.name} Final Standings`,
+                    description: formatSeasonStandings(season),
+                    timestamp: new Date(season.endedAt * 1000),
+                    footer: {
+                        text: `${season.standings.length} ranked players | Season ended`,
+                    },
+                }]
+            });
+        } catch (error) {
+            console.error("Error in season command:", error);
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: "An error occurred while fetching the seasons." });
+            } else {
+                await interaction.reply({ content: "An error occurred while fetching the seasons.", ephemeral: true });
+            }
+        }
+    }
+
+    // Leaderboard command handler
+    if (interaction.commandName === 'leaderboard') {
+        try {
+            const filters = {
+                pageSize: interaction.options.getInteger('page_size') || LEADERBOARD_DEFAULT_PAGE_SIZE,
+                minGames: interaction.options.getInteger('min_games') ?? (interaction.guildId ? getGuildSettings(interaction.guildId).minGamesDisplay : null) ?? 0,
+                nationality: normalizeNationalityFilter(interaction.options.getString('nationality'))
+            };
+
+            await interaction.deferReply({ ephemeral: interaction.options.getBoolean('ephemeral') || false });
+
+            const allRanks = await getAllRanksData();
+
+            // Image card of the first page, falling back to the normal pages if rendering fails
+            if (interaction.options.getBoolean('image')) {
+                try {
+                    const players = filterLeaderboardPlayers(allRanks, filters).slice(0, filters.pageSize);
+                    const imageBuffer = await renderLeaderboardImage(players);
+                    await interaction.editReply({ files: [new AttachmentBuilder(imageBuffer, { name: 'leaderboard.png' })] });
+                    return;
+                } catch (imageError) {
+                    console.error("Error rendering leaderboard image:", imageError);
+                }
+            }
+
+            await interaction.editReply(buildLeaderboardPage(allRanks, filters, 0, interaction.user.id));
+        } catch (error) {
+            console.error("Error in leaderboard command:", error);
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: "An error occurred while fetching the leaderboard." });
+            } else {
+                await interaction.reply({ content: "An error occurred while fetching the leaderboard.", ephemeral: true });
+            }
+        }
+    }
+
+    // Reset ranks command handler
+    if (interaction.commandName === 'reset_ranks') {
+        try {
+            // Double-check that user has the admin role for extra security
+            const member = interaction.member;
+            const hasAdminRole = isAdminMember(member);
+
+            if (!hasAdminRole) {
+                await interaction.reply({
+                    content: "You need the admin role to use this command.",
+                    ephemeral: true
+                });
+                return;
+            }
 
-    // Add explanation of K-value using the descriptions from config
-    resultString += `\n**About K-Values:**\n`;
-    resultString += `• K=${kValueConfig.kValues.newPlayer}: ${kValueConfig.descriptions.newPlayer}\n`;
-    resultString += `• K=${kValueConfig.kValues.developingPlayer}: ${kValueConfig.descriptions.developingPlayer}\n`;
-    resultString += `• K=${kValueConfig.kValues.establishedPlayer}: ${kValueConfig.descriptions.establishedPlayer}\n`;
-    resultString += `\nHigher K-values cause larger rating changes.`;
+            // Get the default ELO option
+            const defaultElo = interaction.options.getInteger('default_elo') || 2000;
 
-    return resultString;
-}
+            // The current standings are archived under this name before the reset
+            const seasonName = interaction.options.getString('season_name')?.trim() || getDefaultSeasonName();
+            if (findSeason(seasonName)) {
+                await interaction.reply({
+                    content: `A season named "${seasonName}" already exists. Pick another season_name.`,
+                    ephemeral: true
+                });
+                return;
+            }
 
-// Add error handling for channel fetching in sendMatchResults
-async function sendMatchResults(matchData) {
-    try {
-        const formattedResults = await formatMatchResults(matchData);
+            // Looking up the standings for the preview can take longer than Discord allows for a reply
+            await interaction.deferReply();
 
-        for (const channelId of matchResultsChannels) {
-            try {
-                const channel = await client.channels.fetch(channelId);
-                if (channel) {
-                    await channel.send(formattedResults);
-                    console.log(`Sent match results to channel ${channelId}`);
-                } else {
-                    console.error(`Channel ${channelId} not found for match results`);
-                }
-            } catch (error) {
-                console.error(`Error sending match results to channel ${channelId}:`, error);
+            const allRanks = await getAllRanksData();
+
+            // Optional backup of the current standings
+            const files = [];
+            if (interaction.options.getBoolean('export_csv')) {
+                const date = new Date().toISOString().slice(0, 10);
+                files.push(new AttachmentBuilder(Buffer.from(formatPlayersCsv(allRanks), 'utf8'), { name: `standings-${date}.csv` }));
+            }
+
+            const warning = `⚠️ **WARNING**: You are about to reset ALL player ranks to ${defaultElo} ELO.\n\nThe current standings will be archived as **${seasonName}**. This action cannot be undone and will affect all players. Are you sure you want to proceed?\n\n`;
+            await requestConfirmation(
+                interaction,
+                'reset_ranks',
+                { defaultElo: defaultElo, seasonName: seasonName, players: allRanks.length },
+                warning + buildResetPreview(allRanks, defaultElo),
+                files
+            );
+
+        } catch (error) {
+            console.error("Error in reset_ranks command:", error);
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: "An error occurred while processing the reset command.", components: [] });
+            } else {
+                await interaction.reply({
+                    content: "An error occurred while processing the reset command.",
+                    ephemeral: true
+                });
             }
         }
-    } catch (error) {
-        console.error("Error formatting or sending match results:", error);
     }
-}
 
-// Add a function to process the update queue
-async function processUpdateQueue() {
-    console.log(`Processing update queue (${updateQueue.length} items)`);
+    // Set ELO to zero command handler
+    if (interaction.commandName === 'set_elo_zero') {
+        try {
+            // Double-check that user has the admin role for extra security
+            const member = interaction.member;
+            const hasAdminRole = isAdminMember(member);
+
+            if (!hasAdminRole) {
+                await interaction.reply({
+                    content: "You need the admin role to use this command.",
+                    ephemeral: true
+                });
+                return;
+            }
 
-    while (updateQueue.length > 0) {
-        const update = updateQueue.shift();
+            // Get the parameters from the command
+            const steamId = interaction.options.getString('steamid');
+            const name = interaction.options.getString('name');
+            const changeOptions = {
+                reason: interaction.options.getString('reason')?.trim() || null,
+                notify: interaction.options.getBoolean('notify_player') || false
+            };
 
-        try {
-            if (update.type === 'match' && update.data) {
-                console.log('Processing queued match data');
-                await sendMatchResults(update.data);
+            // Validate input - need at least one parameter
+            if (!steamId && !name) {
+                await interaction.reply({
+                    content: "Please provide either a Steam ID or a player name.",
+                    ephemeral: true
+                });
+                return;
             }
 
-            // Update all ranks channels after each queued update
-            for (const channelId of ranksChannels) {
-                await updateRanks(channelId);
+            if (!changeOptions.reason && isReasonRequired(interaction.guildId)) {
+                await interaction.reply({
+                    content: "This server requires a reason for manual changes. Add one with the `reason` option.",
+                    ephemeral: true
+                });
+                return;
+            }
+
+            // Defer reply to buy time for the API call
+            await interaction.deferReply();
+
+            // Find the player, never guess which one when several names match
+            const allRanks = await getAllRanksData();
+            const resolved = resolvePlayer(allRanks, steamId || name);
+
+            if (!resolved.player && resolved.candidates.length > 1) {
+                await promptPlayerSelection(interaction, resolved.candidates, 'set_elo_zero', changeOptions);
+                return;
             }
+
+            if (!resolved.player) {
+                await interaction.editReply(steamId ?
+                `Could not find a player with Steam ID ${steamId} in the rankings.` :
+                `Could not find a player with name matching "${name}" in the rankings.`);
+                return;
+            }
+
+            await requestSetEloZero(interaction, resolved.player, changeOptions);
+
         } catch (error) {
-            console.error('Error processing queued update:', error);
+            console.error("Error in set_elo_zero command:", error);
+
+            // Check if we've already replied
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({
+                    content: "An error occurred while setting player ELO to 0. Check the server logs for details."
+                });
+            } else {
+                await interaction.reply({
+                    content: "An error occurred while setting player ELO to 0. Check the server logs for details.",
+                    ephemeral: true
+                });
+            }
         }
     }
-}
 
-// Define the admin role ID
-const ADMIN_ROLE_ID = '1226974606687080598';
+    if (interaction.commandName === 'set_rating') {
+        try {
+            // Double-check that user has the admin role for extra security
+            const member = interaction.member;
+            const hasAdminRole = isAdminMember(member);
 
-// Add a function to reset ranks via backend
-async function resetRanksViaBackend(defaultElo = 2000) {
-    try {
-        // Use a special internal endpoint with a shared secret in the headers
-        const backendUrl = 'https://bplrankings.uc.r.appspot.com/internal/reset-ranks';
+            if (!hasAdminRole) {
+                await interaction.reply({
+                    content: "You need the admin role to use this command.",
+                    ephemeral: true
+                });
+                return;
+            }
 
-        // Use a shared secret from environment variables
-        const botSecret = process.env.BOT_INTERNAL_SECRET;
+            // Get the parameters from the command
+            const steamId = interaction.options.getString('steamid');
+            const newRating = interaction.options.getInteger('rating');
+            const pastGamesOption = interaction.options.getInteger('pastgames');
+            const reason = interaction.options.getString('reason')?.trim() || null;
 
-        if (!botSecret) {
-            throw new Error('BOT_INTERNAL_SECRET not configured in environment variables');
-        }
+            if (!reason && isReasonRequired(interaction.guildId)) {
+                await interaction.reply({
+                    content: "This server requires a reason for manual changes. Add one with the `reason` option.",
+                    ephemeral: true
+                });
+                return;
+            }
 
-        const response = await axios.post(
-            backendUrl,
-            { default_elo: defaultElo },
-            { headers: { 'X-Bot-Secret': botSecret } }
-        );
+            // Defer reply to buy time for the database operation
+            await interaction.deferReply();
 
-        // The backend returns plain text with status code
-        return {
-            success: response.status === 200,
-            message: response.data
-        };
-    } catch (error) {
-        console.error('Error calling reset ranks endpoint:', error);
-        return {
-            success: false,
-            message: error.response?.data || error.message
-        };
+            const selectedRow = await getLatestPlayerRow(steamId);
+            if (!selectedRow) {
+                await interaction.editReply({
+                    content: `Error: No player found with Steam ID ${steamId}`
+                });
+                return;
+            }
+
+            const oldPastGames = selectedRow.pastgames || 0;
+            let preview = `⚠️ You are about to change the rating of **${selectedRow.name}** (${steamId}).\n\n`;
+            preview += `**Rating:** ${selectedRow.elo} → ${newRating}\n`;
+            preview += `**Games played:** ${oldPastGames} → ${pastGamesOption !== null ? pastGamesOption : `${oldPastGames} (unchanged)`}\n`;
+            preview += `**Reason:** ${reason || 'No reason given'}`;
+
+            await requestConfirmation(
+                interaction,
+                'set_rating',
+                {
+                    steamId: steamId,
+                    rating: newRating,
+                    pastGames: pastGamesOption,
+                    reason: reason,
+                    notify: interaction.options.getBoolean('notify_player') || false
+                },
+                preview
+            );
+        } catch (error) {
+            console.error("Error in set_rating command:", error);
+
+            // Check if we've already replied
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({
+                    content: "An error occurred while setting player rating. Check the server logs for details."
+                });
+            } else {
+                await interaction.reply({
+                    content: "An error occurred while setting player rating. Check the server logs for details.",
+                    ephemeral: true
+                });
+            }
+        }
     }
-}
 
-// Add this function near the resetRanksViaBackend function in index.js
-async function setPlayerEloToZero(steamId = null, playerName = null) {
-    try {
-        // Use a special internal endpoint with a shared secret in the headers
-        const backendUrl = 'https://bplrankings.uc.r.appspot.com/internal/set-elo-zero';
+    // Admin account link command handler
+    if (interaction.commandName === 'link_user') {
+        try {
+            // Double-check that user has the admin role for extra security
+            const member = interaction.member;
+            const hasAdminRole = isAdminMember(member);
 
-        // Use a shared secret from environment variables
-        const botSecret = process.env.BOT_INTERNAL_SECRET;
+            if (!hasAdminRole) {
+                await interaction.reply({
+                    content: "You need the admin role to use this command.",
+                    ephemeral: true
+                });
+                return;
+            }
 
-        if (!botSecret) {
-            throw new Error('BOT_INTERNAL_SECRET not configured in environment variables');
-        }
+            const targetUser = interaction.options.getUser('user');
+            const steamId = interaction.options.getString('steamid')?.trim();
 
-        const response = await axios.post(
-            backendUrl,
-            {
-                steamid: steamId,
-                name: playerName
-            },
-            { headers: { 'X-Bot-Secret': botSecret } }
-        );
+            if (!steamId) {
+                const oldSteamId = removeAccountLink(targetUser.id);
+                await interaction.reply({
+                    content: oldSteamId
+                    ? `Removed the link between ${targetUser.tag} and Steam ID ${oldSteamId}.`
+                    : `${targetUser.tag} is not linked to a Steam ID.`,
+                    ephemeral: true
+                });
+                return;
+            }
 
-        // The backend returns plain text with status code
-        return {
-            success: response.status === 200,
-            message: response.data,
-            playerData: response.data.playerData || null
-        };
-    } catch (error) {
-        console.error('Error calling set elo zero endpoint:', error);
-        return {
-            success: false,
-            message: error.response?.data || error.message,
-            playerData: null
-        };
-    }
-}
+            if (!isValidSteamId64(steamId)) {
+                await interaction.reply({
+                    content: "That doesn't look like a steamId64. It should be 17 digits starting with 7656.",
+                    ephemeral: true
+                });
+                return;
+            }
 
-// The rest of the Discord bot code remains the same as in the previous artifact
+            const previousOwner = findUserLinkedTo(steamId);
+            setAccountLink(targetUser.id, steamId, { verified: true, linkedBy: interaction.user.id });
 
-// Handle the reset_ranks command in the interaction handler
-client.on(Events.InteractionCreate, async interaction => {
-    if (!interaction.isChatInputCommand()) return;
+            let replyMessage = `✅ ${targetUser.tag} is now linked to Steam ID ${steamId}.`;
+            if (previousOwner && previousOwner !== targetUser.id) {
+                replyMessage += `\nThis Steam ID was previously linked to <@${previousOwner}>, that link was removed.`;
+            }
 
-    // Update the rank command handler to handle unranked players
-    if (interaction.commandName === 'rank') {
-        try {
-            // Always respond immediately to prevent timeout
-            await interaction.reply({ content: "Fetching rank information...", ephemeral: false });
+            console.log(`Steam ID ${steamId} linked to ${targetUser.tag} (${targetUser.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+            await interaction.reply({ content: replyMessage, ephemeral: true });
+        } catch (error) {
+            console.error("Error in link_user command:", error);
+            await interaction.reply({ content: "An error occurred while linking the account.", ephemeral: true });
+        }
+    }
 
-            // Get parameters from the command
-            const steamId = interaction.options.getString('steamid');
-            const name = interaction.options.getString('name');
+    // Server configuration command handler
+    if (interaction.commandName === 'config') {
+        try {
+            if (!canManageConfig(interaction.member)) {
+                await interaction.reply({
+                    content: "You need the admin role to use this command. The Manage Server permission is only enough until this server has an admin role.",
+                    ephemeral: true
+                });
+                return;
+            }
 
-            // Get all ranking data
-            const allRanks = await getAllRanksData();
-            let playerData = null;
+            const settings = getGuildSettings(interaction.guildId);
+            const group = interaction.options.getSubcommandGroup(false);
+            const subcommand = interaction.options.getSubcommand();
 
-            // If steamId is provided, search by that
-            if (steamId) {
-                playerData = allRanks.find(player => player.steamid === steamId);
-            }
-            // Otherwise search by name
-            else if (name) {
-                // Case insensitive partial match
-                playerData = allRanks.find(player =>
-                player.name.toLowerCase().includes(name.toLowerCase()));
+            // Other guilds can only change how the rankings are shown, never who may change them
+            if (TRUSTED_CONFIG_OPTIONS.includes(group || subcommand) && !isTrustedGuild(interaction.guildId)) {
+                await interaction.reply({
+                    content: "This server is not trusted to change the rankings, so only the ranks board and match results settings can be changed here.",
+                    ephemeral: true
+                });
+                return;
             }
-            // If no parameters, assume looking up self by Discord name
-            else {
-                // Try to find a player with a name similar to the discord username
-                const discordName = interaction.user.username;
-                playerData = allRanks.find(player =>
-                player.name.toLowerCase().includes(discordName.toLowerCase()));
+
+            if (!group && subcommand === 'show') {
+                const listChannels = (channelIds) => channelIds.length > 0 ? channelIds.map(channelId => `<#${channelId}>`).join(', ') : 'None';
+                const configEmbed = {
+                    color: 0x0099FF,
+                    title: `Settings for ${interaction.guild.name}`,
+                    fields: [
+                        { name: 'Ranks Channels', value: listChannels(settings.ranksChannels), inline: false },
+                        { name: 'Match Results Channels', value: listChannels(settings.matchResultsChannels), inline: false },
+                        { name: 'Admin Log Channels', value: listChannels(settings.adminLogChannels), inline: false },
+                        { name: 'Audit Channels', value: settings.auditChannels.length > 0 ? listChannels(settings.auditChannels) : 'Admin log channels', inline: false },
+                        { name: 'Admin Roles', value: settings.adminRoleIds.length > 0 ? settings.adminRoleIds.map(roleId => `<@&${roleId}>`).join(', ') : 'None', inline: false },
+                        { name: 'Leaderboard Size', value: `${settings.leaderboardSize}`, inline: true },
+                        { name: 'Min Games Shown', value: settings.minGamesDisplay === null ? `${getDisplayMinGames(settings)} (ranked threshold)` : `${settings.minGamesDisplay}`, inline: true },
+                        { name: 'Locale', value: settings.locale, inline: true },
+                        { name: 'Second Admin Approval', value: settings.requireSecondApproval ? 'Required for whole-database actions' : 'Off', inline: true },
+                        { name: 'Reason Required', value: settings.requireReason ? 'Yes' : 'No', inline: true },
+                    ],
+                    timestamp: new Date(),
+                };
+                await interaction.reply({ embeds: [configEmbed], ephemeral: true });
+                return;
             }
 
-            if (!playerData) {
-                let errorMessage = "Player not found in the rankings. They may not have played any ranked matches yet.";
+            if (group === 'admin_role') {
+                const role = interaction.options.getRole('role');
 
-                // Customize error message based on the search method
-                if (steamId) {
-                    errorMessage = `Could not find a player with Steam ID: ${steamId} in the rankings.`;
-                } else if (name) {
-                    errorMessage = `Could not find a player with name matching "${name}" in the rankings.`;
+                if (subcommand === 'add') {
+                    if (settings.adminRoleIds.includes(role.id)) {
+                        await interaction.reply({ content: `${role} is already an admin role.`, ephemeral: true });
+                        return;
+                    }
+                    settings.adminRoleIds.push(role.id);
                 } else {
-                    errorMessage = `Could not match your Discord username (${interaction.user.username}) to any player in the rankings.`;
+                    if (!settings.adminRoleIds.includes(role.id)) {
+                        await interaction.reply({ content: `${role} is not an admin role.`, ephemeral: true });
+                        return;
+                    }
+                    settings.adminRoleIds = settings.adminRoleIds.filter(roleId => roleId !== role.id);
                 }
+                saveGuildSettings();
 
-                // Edit the original reply with the error message
-                await interaction.editReply({ content: errorMessage });
+                console.log(`Admin role ${role.name} ${subcommand === 'add' ? 'added to' : 'removed from'} guild ${interaction.guild.name} by ${interaction.user.tag} (${interaction.user.id})`);
+                await interaction.reply({
+                    content: `✅ ${role} ${subcommand === 'add' ? 'added to' : 'removed from'} the admin roles.`,
+                    ephemeral: true
+                });
+
+                // Admin commands are only registered in guilds with an admin role
+                await registerGuildCommands(interaction.guild);
                 return;
             }
 
-            // Use the cached K-value config
-            const kValueConfig = cachedKValueConfig;
+            if (!group && subcommand === 'require_reason') {
+                settings.requireReason = interaction.options.getBoolean('enabled');
+                saveGuildSettings();
+
+                console.log(`Required reasons for guild ${interaction.guild.name} turned ${settings.requireReason ? 'on' : 'off'} by ${interaction.user.tag} (${interaction.user.id})`);
+                await interaction.reply({
+                    content: settings.requireReason ?
+                    "✅ Manual rating, ELO and nationality changes now need a reason." :
+                    "✅ Manual changes no longer need a reason.",
+                    ephemeral: true
+                });
+                return;
+            }
 
-            // Determine player status
-            const pastGames = playerData.pastgames || 0;
-            const minGames = kValueConfig?.thresholds?.newPlayer || 5;
-            const devGames = kValueConfig?.thresholds?.developingPlayer || 15;
+            if (!group && subcommand === 'second_approval') {
+                const enabled = interaction.options.getBoolean('enabled');
+                if (enabled === settings.requireSecondApproval) {
+                    await interaction.reply({ content: `Second admin approval is already ${enabled ? 'on' : 'off'}.`, ephemeral: true });
+                    return;
+                }
 
-            let playerStatus = "Unranked";
-            let kValue = kValueConfig?.kValues?.newPlayer || 120;
+                // Turning it off has to be approved by a second admin like the actions it protects
+                if (!enabled) {
+                    await interaction.deferReply();
+                    await requestConfirmation(interaction, 'disable_second_approval', {},
+                        `⚠️ **Turn off second admin approval?** Whole-database actions like /reset_ranks could then be carried out by a single admin.`);
+                    return;
+                }
 
-            if (pastGames >= devGames) {
-                playerStatus = "Established Player";
-                kValue = kValueConfig?.kValues?.establishedPlayer || 30;
-            } else if (pastGames >= minGames) {
-                playerStatus = "Developing Player";
-                kValue = kValueConfig?.kValues?.developingPlayer || 60;
-            } else {
-                playerStatus = "New Player (Unranked)";
-                kValue = kValueConfig?.kValues?.newPlayer || 120;
+                const auditEntry = await setSecondApproval(interaction.guildId, true, interaction.user);
+                await interaction.reply({
+                    content: `✅ Whole-database actions now need a second admin's approval. (action #${auditEntry.id})`,
+                    ephemeral: true
+                });
+                return;
             }
 
-            // Format the rank display value
-            const rankDisplay = playerData.rank === -1
-            ? "Unranked"
-            : `#${playerData.rank}`;
+            // Ranks board settings
+            if (!group && ['leaderboard_size', 'min_games', 'locale'].includes(subcommand)) {
+                let description;
+
+                if (subcommand === 'leaderboard_size') {
+                    settings.leaderboardSize = interaction.options.getInteger('size');
+                    description = `Leaderboard size set to ${settings.leaderboardSize}.`;
+                } else if (subcommand === 'min_games') {
+                    settings.minGamesDisplay = interaction.options.getInteger('games');
+                    description = settings.minGamesDisplay === null ?
+                    "Min games shown reset to the ranked threshold." :
+                    `Min games shown set to ${settings.minGamesDisplay}.`;
+                } else {
+                    const locale = interaction.options.getString('locale').trim();
+                    if (Intl.NumberFormat.supportedLocalesOf([locale]).length === 0) {
+                        await interaction.reply({ content: `"${locale}" is not a supported locale. Use a code like en-US, de-DE or fr-FR.`, ephemeral: true });
+                        return;
+                    }
+                    settings.locale = locale;
+                    description = `Locale set to ${locale}.`;
+                }
+                saveGuildSettings();
 
-            // Simple text response as a fallback that will always work
-            const simpleResponse = `${playerData.name} is ${rankDisplay} with ${playerData.elo} ELO. (${playerStatus}, ${pastGames} games played)`;
+                console.log(`${subcommand} for guild ${interaction.guild.name} changed by ${interaction.user.tag} (${interaction.user.id})`);
+                await interaction.reply({ content: `✅ ${description}`, ephemeral: true });
 
-            try {
-                // Try to get the Steam avatar
-                let avatarUrl = null;
-                try {
-                    avatarUrl = await getSteamAvatar(playerData.steamid);
-                } catch (avatarError) {
-                    console.error("Error getting Steam avatar:", avatarError);
+                // Redraw this guild's boards with the new settings
+                for (const channelId of settings.ranksChannels) {
+                    await updateRanks(channelId);
                 }
+                return;
+            }
 
-                // Create a fancy embed for the player's stats
-                const rankEmbed = {
-                    color: getRankColor(playerData.absoluteRank),
-          title: `${playerData.nationality || ''} ${playerData.name}'s Ranking Stats`,
-          description: `Current ranking information for ${playerData.name}`,
-          fields: [
-              {
-                  name: 'Rank',
-          value: rankDisplay,
-          inline: true,
-              },
-          {
-              name: 'Rating',
-          value: playerData.elo === cachedKValueConfig.defaultElo ? `${playerData.elo} (bottom)` : `${playerData.elo}`,
-          inline: true,
-          },
-          {
-              name: 'Games Played',
-          value: `${pastGames}`,
-          inline: true,
-          },
-          {
-              name: 'Steam ID',
-          value: `${playerData.steamid}`,
-          inline: false,
-          },
-          ],
-          timestamp: new Date(),
-          footer: {
-              text: `BPL Rankings | ${minGames}+ games needed to be ranked\nRating will never drop below ${cachedKValueConfig.defaultElo}`,
-          },
-                };
+            // Channel lists: ranks_channel, match_results_channel and admin_log_channel
+            const channelKeys = {
+                ranks_channel: 'ranksChannels',
+                match_results_channel: 'matchResultsChannels',
+                admin_log_channel: 'adminLogChannels',
+                audit_channel: 'auditChannels'
+            };
+            const key = channelKeys[group];
+            const channel = interaction.options.getChannel('channel');
 
-                // Add note for unranked players
-                if (playerData.rank === -1) {
-                    rankEmbed.fields.push({
-                        name: 'Ranking Status',
-                        value: `Need ${minGames - pastGames} more games to be officially ranked.`,
-                        inline: false,
-                    });
+            if (subcommand === 'add') {
+                if (settings[key].includes(channel.id)) {
+                    await interaction.reply({ content: `${channel} is already in the list.`, ephemeral: true });
+                    return;
                 }
-
-                // Add thumbnail if we have an avatar
-                if (avatarUrl) {
-                    rankEmbed.thumbnail = { url: avatarUrl };
+                settings[key].push(channel.id);
+            } else {
+                if (!settings[key].includes(channel.id)) {
+                    await interaction.reply({ content: `${channel} is not in the list.`, ephemeral: true });
+                    return;
                 }
+                settings[key] = settings[key].filter(channelId => channelId !== channel.id);
+                if (key === 'ranksChannels') {
+                    delete guildSettings.boardMessages[channel.id];
+                }
+            }
+            saveGuildSettings();
 
-                // Edit the original reply with the embed
-                await interaction.editReply({ content: '', embeds: [rankEmbed] });
+            console.log(`${group} ${subcommand} ${channel.id} in guild ${interaction.guild.name} by ${interaction.user.tag} (${interaction.user.id})`);
+            await interaction.reply({
+                content: `✅ ${channel} ${subcommand === 'add' ? 'added to' : 'removed from'} the ${group.replace(/_/g, ' ')}s.`,
+                ephemeral: true
+            });
 
-            } catch (embedError) {
-                // If creating the embed fails, fall back to simple text
-                console.error("Error creating embed:", embedError);
-                await interaction.editReply({ content: simpleResponse });
+            // Post the board straight away in a new ranks channel
+            if (key === 'ranksChannels' && subcommand === 'add') {
+                await updateRanks(channel.id);
             }
-
         } catch (error) {
-            // If anything fails, log it and try to send a simple error message
-            console.error("Error in rank command:", error);
-            try {
-                if (interaction.replied || interaction.deferred) {
-                    await interaction.editReply({ content: "An error occurred while fetching rank information." });
-                } else {
-                    await interaction.reply({ content: "An error occurred while fetching rank information." });
-                }
-            } catch (e) {
-                console.error("Failed to send error message:", e);
+            console.error("Error in config command:", error);
+            if (interaction.deferred || interaction.replied) {
+                await interaction.followUp({ content: "An error occurred while updating the settings.", ephemeral: true });
+            } else {
+                await interaction.reply({ content: "An error occurred while updating the settings.", ephemeral: true });
             }
         }
     }
 
-    // Reset ranks command handler
-    if (interaction.commandName === 'reset_ranks') {
+    // Player search command handler
+    if (interaction.commandName === 'players') {
         try {
             // Double-check that user has the admin role for extra security
-            const member = interaction.member;
-            const hasAdminRole = member && member.roles && member.roles.cache.has(ADMIN_ROLE_ID);
-
-            if (!hasAdminRole) {
+            if (!isAdminMember(interaction.member)) {
                 await interaction.reply({
                     content: "You need the admin role to use this command.",
                     ephemeral: true
@@ -962,78 +5493,175 @@ client.on(Events.InteractionCreate, async interaction => {
                 return;
             }
 
-            // Get the default ELO option
-            const defaultElo = interaction.options.getInteger('default_elo') || 2000;
+            const nationality = interaction.options.getString('nationality')?.trim() || null;
+            const filters = {
+                name: interaction.options.getString('name')?.trim() || null,
+                minElo: interaction.options.getInteger('min_elo'),
+                maxElo: interaction.options.getInteger('max_elo'),
+                minGames: interaction.options.getInteger('min_games'),
+                maxGames: interaction.options.getInteger('max_games'),
+                noNationality: nationality !== null && nationality.toLowerCase() === 'none',
+                nationality: nationality !== null && nationality.toLowerCase() !== 'none' ? normalizeNationalityFilter(nationality) : null,
+                unrankedOnly: interaction.options.getBoolean('unranked_only') || false
+            };
 
-            // Create confirmation buttons
-            const confirmButton = new ButtonBuilder()
-            .setCustomId(`confirm_reset_${interaction.user.id}_${defaultElo}`)
-            .setLabel('Confirm Reset')
-            .setStyle(ButtonStyle.Danger);
+            if ((filters.minElo !== null && filters.maxElo !== null && filters.minElo > filters.maxElo) ||
+                (filters.minGames !== null && filters.maxGames !== null && filters.minGames > filters.maxGames)) {
+                await interaction.reply({ content: "The minimum can't be higher than the maximum.", ephemeral: true });
+                return;
+            }
 
-            const cancelButton = new ButtonBuilder()
-            .setCustomId(`cancel_reset_${interaction.user.id}`)
-            .setLabel('Cancel')
-            .setStyle(ButtonStyle.Secondary);
+            await interaction.deferReply({ ephemeral: true });
 
-            const row = new ActionRowBuilder()
-            .addComponents(confirmButton, cancelButton);
+            const results = filterPlayers(await getAllRanksData(), filters);
 
-            // Send confirmation message with buttons
-            await interaction.reply({
-                content: `⚠️ **WARNING**: You are about to reset ALL player ranks to ${defaultElo} ELO.\n\nThis action cannot be undone and will affect all players. Are you sure you want to proceed?`,
-                components: [row],
-                ephemeral: false
-            });
+            const sessionId = crypto.randomBytes(6).toString('hex');
+            const session = { userId: interaction.user.id, filters: filters, results: results, page: 0 };
+            playerSearchSessions.set(sessionId, session);
+            setTimeout(() => playerSearchSessions.delete(sessionId), PLAYER_SEARCH_SESSION_TTL);
 
-            // Store the confirmation request with a 60-second timeout
-            pendingResetConfirmations.set(interaction.user.id, {
-                defaultElo: defaultElo,
-                    messageId: (await interaction.fetchReply()).id,
-                                          channelId: interaction.channelId,
-                                          timestamp: Date.now(),
-                                          userId: interaction.user.id
-            });
+            const reply = buildPlayerSearchPage(sessionId, session);
+            if (interaction.options.getBoolean('csv') && results.length > 0) {
+                const date = new Date().toISOString().slice(0, 10);
+                reply.files = [new AttachmentBuilder(Buffer.from(formatPlayersCsv(results), 'utf8'), { name: `players-${date}.csv` })];
+            }
 
-            // Set timeout to expire the confirmation after 60 seconds
-            setTimeout(() => {
-                const pendingRequest = pendingResetConfirmations.get(interaction.user.id);
-                if (pendingRequest) {
-                    pendingResetConfirmations.delete(interaction.user.id);
+            await interaction.editReply(reply);
+        } catch (error) {
+            console.error("Error in players command:", error);
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: "An error occurred while searching players." });
+            } else {
+                await interaction.reply({ content: "An error occurred while searching players.", ephemeral: true });
+            }
+        }
+    }
 
-                    // Try to edit the message to indicate expiration
-                    try {
-                        const channel = client.channels.cache.get(pendingRequest.channelId);
-                        if (channel) {
-                            channel.messages.fetch(pendingRequest.messageId)
-                            .then(message => {
-                                message.edit({
-                                    content: `⏱️ Reset confirmation has expired.`,
-                                    components: []
-                                }).catch(console.error);
-                            }).catch(console.error);
-                        }
-                    } catch (error) {
-                        console.error("Error updating expired confirmation message:", error);
-                    }
-                }
-            }, 60000); // 60 seconds
+    // Revert command handler
+    if (interaction.commandName === 'revert') {
+        try {
+            // Double-check that user has the admin role for extra security
+            if (!isAdminMember(interaction.member)) {
+                await interaction.reply({
+                    content: "You need the admin role to use this command.",
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const entryId = interaction.options.getInteger('action_id');
+            const entry = findAuditEntry(entryId);
+
+            if (!entry) {
+                await interaction.reply({ content: `No action #${entryId} in the audit log. Use /audit recent to find it.`, ephemeral: true });
+                return;
+            }
+            if (!entry.steamid) {
+                await interaction.reply({ content: `Action #${entryId} changed every player and can't be reverted.`, ephemeral: true });
+                return;
+            }
+            if (!entry.before) {
+                await interaction.reply({ content: `Action #${entryId} can't be reverted, the player's earlier state wasn't recorded.`, ephemeral: true });
+                return;
+            }
+            if (entry.revertedBy) {
+                await interaction.reply({ content: `Action #${entryId} was already reverted by #${entry.revertedBy}.`, ephemeral: true });
+                return;
+            }
 
+            await interaction.deferReply();
+
+            const currentRow = await getLatestPlayerRow(entry.steamid);
+            if (!currentRow) {
+                await interaction.editReply({ content: `Error: No player found with Steam ID ${entry.steamid}` });
+                return;
+            }
+
+            const current = snapshotPlayerRow(currentRow);
+            let preview = `↩️ You are about to revert action #${entry.id} (\`${entry.type}\` by ${entry.actorTag} <t:${entry.timestamp}:R>) for **${currentRow.name}** (${entry.steamid}).\n\n`;
+            preview += `**Rating:** ${current.elo} → ${entry.before.elo}\n`;
+            preview += `**Games played:** ${current.pastgames} → ${entry.before.pastgames}\n`;
+            preview += `**Nationality:** ${current.nationality || 'none'} → ${entry.before.nationality || 'none'}`;
+
+            // Matches or other changes since the action are lost by reverting
+            if (describeStateChange(entry.after, current) !== 'no change') {
+                preview += `\n\n⚠️ The player changed since this action (${describeStateChange(entry.after, current)}). Reverting discards that.`;
+            }
+
+            await requestConfirmation(interaction, 'revert', { entryId: entry.id }, preview);
         } catch (error) {
-            console.error("Error in reset_ranks command:", error);
+            console.error("Error in revert command:", error);
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: "An error occurred while preparing the revert." });
+            } else {
+                await interaction.reply({ content: "An error occurred while preparing the revert.", ephemeral: true });
+            }
+        }
+    }
+
+    // Audit log command handler
+    if (interaction.commandName === 'audit') {
+        try {
+            // Double-check that user has the admin role for extra security
+            if (!isAdminMember(interaction.member)) {
+                await interaction.reply({
+                    content: "You need the admin role to use this command.",
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+            const count = interaction.options.getInteger('count') || AUDIT_RECENT_DEFAULT;
+
+            let entries;
+            let title;
+            if (subcommand === 'player') {
+                const player = interaction.options.getString('player');
+                entries = searchAuditLog({ player: player }, count);
+                title = `Manual Changes to ${entries[0]?.playerName || player}`;
+            } else if (subcommand === 'actor') {
+                const actor = interaction.options.getUser('actor');
+                entries = searchAuditLog({ actorId: actor.id }, count);
+                title = `Manual Changes by ${actor.tag}`;
+            } else {
+                entries = auditLog.entries.slice(-count).reverse();
+                title = 'Recent Manual Changes';
+            }
+
+            if (entries.length === 0) {
+                await interaction.reply({ content: "No matching manual changes have been recorded.", ephemeral: true });
+                return;
+            }
+
             await interaction.reply({
-                content: "An error occurred while processing the reset command.",
+                embeds: [{
+                    color: 0x0099FF,
+                    title: title,
+                    description: splitMessage(entries.map(formatAuditEntry).join('\n'), 4096)[0],
+                    timestamp: new Date(),
+                    footer: {
+                        text: 'Undo a change with /revert action_id:<number>',
+                    },
+                }],
                 ephemeral: true
             });
+        } catch (error) {
+            console.error("Error in audit command:", error);
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: "An error occurred while reading the audit log." });
+            } else {
+                await interaction.reply({ content: "An error occurred while reading the audit log.", ephemeral: true });
+            }
         }
     }
 
-    // Set ELO to zero command handler
-    if (interaction.commandName === 'set_elo_zero') {
+    // Update queue status command handler
+    if (interaction.commandName === 'queue_status') {
         try {
             // Double-check that user has the admin role for extra security
             const member = interaction.member;
-            const hasAdminRole = member && member.roles && member.roles.cache.has(ADMIN_ROLE_ID);
+            const hasAdminRole = isAdminMember(member);
 
             if (!hasAdminRole) {
                 await interaction.reply({
@@ -1043,374 +5671,613 @@ client.on(Events.InteractionCreate, async interaction => {
                 return;
             }
 
-            // Get the parameters from the command
-            const steamId = interaction.options.getString('steamid');
-            const name = interaction.options.getString('name');
+            let retriedCount = 0;
+            if (interaction.options.getBoolean('retry_failed')) {
+                retriedCount = retryFailedUpdates();
+            }
 
-            // Validate input - need at least one parameter
-            if (!steamId && !name) {
+            const pendingItems = updateQueue.items.filter(item => item.status === 'pending');
+            const failedItems = updateQueue.items.filter(item => item.status === 'failed');
+
+            const describeItem = (item) => {
+                let line = `• \`${item.id}\` (${item.type}) received <t:${Math.floor(item.receivedAt / 1000)}:R>, ${item.attempts} attempt(s)`;
+                if (item.status === 'pending' && item.attempts > 0) {
+                    line += `, next try <t:${Math.floor(item.nextAttemptAt / 1000)}:R>`;
+                }
+                if (item.lastError) {
+                    line += `\n  ${item.lastError}`;
+                }
+                return line;
+            };
+
+            const queueEmbed = {
+                color: failedItems.length > 0 ? 0xFF0000 : 0x0099FF,
+                title: 'Match Update Queue',
+                description: retriedCount > 0 ? `${retriedCount} failed update(s) put back in the queue.` : null,
+                fields: [
+                    {
+                        name: `Pending (${pendingItems.length})`,
+                        value: pendingItems.slice(0, 10).map(describeItem).join('\n').substring(0, 1024) || 'None',
+                        inline: false,
+                    },
+                    {
+                        name: `Failed (${failedItems.length})`,
+                        value: failedItems.slice(0, 10).map(describeItem).join('\n').substring(0, 1024) || 'None',
+                        inline: false,
+                    },
+                ],
+                timestamp: new Date(),
+                footer: {
+                    text: `Bot ready: ${botReady ? 'yes' : 'no'} | ${updateQueue.processedIds.length} recent matches delivered`,
+                },
+            };
+
+            await interaction.reply({ embeds: [queueEmbed], ephemeral: true });
+
+            if (retriedCount > 0) {
+                await processUpdateQueue();
+            }
+        } catch (error) {
+            console.error("Error in queue_status command:", error);
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: "An error occurred while reading the update queue." });
+            } else {
+                await interaction.reply({ content: "An error occurred while reading the update queue.", ephemeral: true });
+            }
+        }
+    }
+});
+
+// Handle guild join/update events
+client.on(Events.GuildCreate, async guild => {
+    console.log(`Joined new guild: ${guild.name}`);
+    try {
+        getGuildSettings(guild.id);
+        saveGuildSettings();
+        await registerGuildCommands(guild);
+        await onboardGuild(guild);
+    } catch (error) {
+        console.error(`Error setting up new guild ${guild.name}:`, error);
+    }
+});
+
+// Forget the settings of a guild the bot was removed from, so its channels stop getting boards and match results
+client.on(Events.GuildDelete, async guild => {
+    const settings = guildSettings.guilds[guild.id];
+    if (!settings) {
+        return;
+    }
+
+    console.log(`Removed from guild ${guild.name || guild.id}, dropping its settings`);
+    for (const channelId of settings.ranksChannels || []) {
+        delete guildSettings.boardMessages[channelId];
+    }
+    delete guildSettings.guilds[guild.id];
+    try {
+        saveGuildSettings();
+    } catch (error) {
+        console.error(`Error removing settings of guild ${guild.id}:`, error);
+    }
+});
+
+// When a guild role is updated, check if it's our admin role
+client.on(Events.GuildRoleUpdate, async (oldRole, newRole) => {
+    if (getGuildSettings(newRole.guild.id).adminRoleIds.includes(newRole.id)) {
+        console.log(`Admin role updated in guild ${newRole.guild.name}`);
+        await registerGuildCommands(newRole.guild);
+    }
+});
+
+// Drop a deleted admin role from the settings so it doesn't keep the admin commands registered
+client.on(Events.GuildRoleDelete, async role => {
+    const settings = getGuildSettings(role.guild.id);
+    if (settings.adminRoleIds.includes(role.id)) {
+        console.log(`Admin role deleted in guild ${role.guild.name}`);
+        settings.adminRoleIds = settings.adminRoleIds.filter(roleId => roleId !== role.id);
+        try {
+            saveGuildSettings();
+            await registerGuildCommands(role.guild);
+        } catch (error) {
+            console.error(`Error removing deleted admin role in guild ${role.guild.name}:`, error);
+        }
+    }
+});
+
+
+// Add a handler for button interactions in the InteractionCreate event
+client.on(Events.InteractionCreate, async interaction => {
+    if (!interaction.isButton()) return;
+
+    const customId = interaction.customId;
+
+    // Handle confirmation and approval buttons of destructive admin actions
+    if (customId.startsWith('confirm_action_') || customId.startsWith('approve_action_')) {
+        const approving = customId.startsWith('approve_action_');
+        const actionId = customId.substring((approving ? 'approve_action_' : 'confirm_action_').length);
+        const action = pendingActions.actions[actionId];
+
+        try {
+            if (!action || action.expiresAt <= Date.now()) {
                 await interaction.reply({
-                    content: "Please provide either a Steam ID or a player name.",
+                    content: "This confirmation has expired or was already processed.",
+                    ephemeral: true
+                });
+                return;
+            }
+
+            if (!approving && interaction.user.id !== action.userId) {
+                await interaction.reply({
+                    content: "Only the admin who started this action can confirm it.",
+                    ephemeral: true
+                });
+                return;
+            }
+
+            if (approving && (!isAdminMember(interaction.member) || interaction.user.id === action.userId)) {
+                await interaction.reply({
+                    content: "This action has to be approved by a different admin.",
                     ephemeral: true
                 });
                 return;
             }
 
-            // Defer reply to buy time for the API call
-            await interaction.deferReply();
-
-            // First find the player if name is provided
-            let targetSteamId = steamId;
-            let targetName = name;
-            let playerData = null;
+            // Whole-database actions wait for a second admin after the first confirmation
+            if (action.requiresApproval && !approving) {
+                action.confirmedAt = Date.now();
+                action.expiresAt = Date.now() + APPROVAL_TTL;
+                savePendingActions();
+                schedulePendingActionExpiry(action);
+
+                console.log(`${action.type} ${action.id} confirmed by ${interaction.user.tag} (${interaction.user.id}), waiting for approval`);
+                await interaction.update({
+                    content: buildConfirmationContent(action),
+                    components: [buildConfirmationButtons(action)]
+                });
+                return;
+            }
+
+            removePendingAction(actionId);
+            action.approvedBy = approving ? interaction.user.tag : null;
+
+            // Update the message to indicate processing
+            await interaction.update({
+                content: "Processing... Please wait.",
+                components: []
+            });
+
+            try {
+                await confirmableActions[action.type].execute(interaction, action);
+            } catch (error) {
+                console.error(`Error executing ${action.type} after confirmation:`, error);
+                await interaction.editReply({
+                    content: "An error occurred while carrying out the action. Check the server logs for details."
+                });
+            }
+        } catch (error) {
+            console.error("Error handling confirmation button:", error);
+            try {
+                const errorMessage = { content: "An error occurred while processing the confirmation.", ephemeral: true };
+                if (interaction.deferred || interaction.replied) {
+                    await interaction.followUp(errorMessage);
+                } else {
+                    await interaction.reply(errorMessage);
+                }
+            } catch (e) {
+                console.error("Failed to send error message:", e);
+            }
+        }
+    }
+
+    // Handle approve/reject buttons of player nationality requests
+    else if (customId.startsWith('nationality_approve_') || customId.startsWith('nationality_reject_')) {
+        const approving = customId.startsWith('nationality_approve_');
+        const requestId = customId.substring((approving ? 'nationality_approve_' : 'nationality_reject_').length);
+        const request = nationalityRequests.requests[requestId];
 
-            if (!steamId && name) {
-                // Find player by name
-                const allRanks = await getAllRanksData();
-                playerData = allRanks.find(player =>
-                player.name.toLowerCase().includes(name.toLowerCase())
-                );
+        if (!isAdminMember(interaction.member)) {
+            await interaction.reply({ content: "Only admins can decide nationality requests.", ephemeral: true });
+            return;
+        }
 
-                if (!playerData) {
-                    await interaction.editReply(`Could not find a player with name matching "${name}" in the rankings.`);
-                    return;
-                }
+        if (!request) {
+            await interaction.update({ content: "This nationality request was already decided.", components: [] });
+            return;
+        }
 
-                targetSteamId = playerData.steamid;
-                targetName = playerData.name;
-            }
+        // Another admin clicked first and is still being processed
+        if (decidingNationalityRequests.has(requestId)) {
+            await interaction.reply({ content: "Another admin is deciding this request right now.", ephemeral: true });
+            return;
+        }
+        decidingNationalityRequests.add(requestId);
 
-            // Call our backend function
-            const result = await setPlayerEloToZero(targetSteamId, targetName);
+        try {
+            await interaction.deferUpdate();
 
-            if (result.success) {
-                // Send success message
-                await interaction.editReply({
-                    content: `⚠️ Player **${result.playerData?.name || targetName}** (${result.playerData?.steamid || targetSteamId}) ELO has been set to 0.\n\nRanks channels will be updated shortly.`
+            let outcome;
+            if (approving) {
+                const auditEntry = await updateNationality(request.steamid, request.flag, interaction.user, {
+                    reason: `Requested by ${request.userTag}`,
+                    guildId: interaction.guildId
                 });
+                outcome = auditEntry ?
+                `✅ Nationality request of **${request.playerName}** for ${request.flag} approved by ${interaction.user.tag}. (action #${auditEntry.id})` :
+                `⚠️ Nationality request of **${request.playerName}** approved by ${interaction.user.tag}, but the player is no longer in the database.`;
+            } else {
+                outcome = `❌ Nationality request of **${request.playerName}** for ${request.flag} rejected by ${interaction.user.tag}.`;
+            }
 
-                // Log the action
-                console.log(`ELO set to 0 for player ${result.playerData?.name || targetName} (${result.playerData?.steamid || targetSteamId}) by ${interaction.user.tag} (${interaction.user.id})`);
+            // Only forget the request once the decision went through, so a failed update can be retried
+            delete nationalityRequests.requests[requestId];
+            saveNationalityRequests();
 
-                // Announce in admin channels
-                for (const channelId of configChannels) {
-                    try {
-                        const channel = await client.channels.fetch(channelId);
-                        if (channel) {
-                            await channel.send(`⚠️ **ELO RESET**: Player **${result.playerData?.name || targetName}** (${result.playerData?.steamid || targetSteamId}) ELO has been set to 0 by ${interaction.user.tag}`);
-                        }
-                    } catch (error) {
-                        console.error(`Error sending reset announcement to channel ${channelId}:`, error);
-                    }
-                }
+            await closeNationalityRequestMessages(request, outcome);
 
-                // Update all ranks channels
-                for (const channelId of ranksChannels) {
-                    await updateRanks(channelId);
+            // Let the player know
+            try {
+                const user = await client.users.fetch(request.userId);
+                await user.send({
+                    content: approving ?
+                    `✅ Your request to show ${request.flag} ${request.countryName} was approved.` :
+                    `❌ Your request to show ${request.flag} ${request.countryName} was rejected. Ask an admin if you think this is a mistake.`
+                });
+            } catch (error) {
+                console.log(`Could not DM ${request.userTag} about their nationality request: ${error.message}`);
+            }
+        } catch (error) {
+            console.error("Error deciding nationality request:", error);
+            try {
+                const errorMessage = { content: "An error occurred while deciding the request.", ephemeral: true };
+                if (interaction.deferred || interaction.replied) {
+                    await interaction.followUp(errorMessage);
+                } else {
+                    await interaction.reply(errorMessage);
                 }
-            } else {
-                await interaction.editReply(`Error: ${result.message || 'Failed to set player ELO to 0'}`);
+            } catch (e) {
+                console.error("Failed to send error message:", e);
             }
+        } finally {
+            decidingNationalityRequests.delete(requestId);
+        }
+    }
 
-        } catch (error) {
-            console.error("Error in set_elo_zero command:", error);
+    // Handle the team balancer reroll button
+    else if (customId.startsWith('balance_reroll_')) {
+        const sessionId = customId.substring('balance_reroll_'.length);
+        const session = balanceSessions.get(sessionId);
 
-            // Check if we've already replied
-            if (interaction.deferred || interaction.replied) {
-                await interaction.editReply({
-                    content: "An error occurred while setting player ELO to 0. Check the server logs for details."
+        try {
+            if (!session) {
+                await interaction.update({
+                    content: "These teams have expired. Run /balance again to get new ones.",
+                    components: []
                 });
-            } else {
+                return;
+            }
+
+            // Only the user who ran /balance can reroll
+            if (interaction.user.id !== session.userId) {
                 await interaction.reply({
-                    content: "An error occurred while setting player ELO to 0. Check the server logs for details.",
+                    content: "Only the user who ran /balance can reroll the teams.",
                     ephemeral: true
                 });
+                return;
+            }
+
+            session.index = (session.index + 1) % session.splits.length;
+            await interaction.update(buildBalanceMessage(sessionId, session));
+        } catch (error) {
+            console.error("Error rerolling balanced teams:", error);
+            try {
+                const errorMessage = { content: "An error occurred while rerolling the teams.", ephemeral: true };
+                if (interaction.deferred || interaction.replied) {
+                    await interaction.followUp(errorMessage);
+                } else {
+                    await interaction.reply(errorMessage);
+                }
+            } catch (e) {
+                console.error("Failed to send error message:", e);
             }
         }
     }
 
-    if (interaction.commandName === 'set_rating') {
+    // Handle /players page buttons
+    else if (customId.startsWith('players_prev_') || customId.startsWith('players_next_')) {
+        const sessionId = customId.substring('players_prev_'.length);
+        const session = playerSearchSessions.get(sessionId);
+
         try {
-            // Double-check that user has the admin role for extra security
-            const member = interaction.member;
-            const hasAdminRole = member && member.roles && member.roles.cache.has(ADMIN_ROLE_ID);
+            if (!session) {
+                await interaction.update({
+                    content: "These search results have expired. Run /players again.",
+                    embeds: [],
+                    components: []
+                });
+                return;
+            }
 
-            if (!hasAdminRole) {
+            // Only the admin who searched can page through the results
+            if (interaction.user.id !== session.userId) {
                 await interaction.reply({
-                    content: "You need the admin role to use this command.",
+                    content: "Only the user who ran /players can change the page.",
                     ephemeral: true
                 });
                 return;
             }
 
-            // Get the parameters from the command
-            const steamId = interaction.options.getString('steamid');
-            const newRating = interaction.options.getInteger('rating');
-            const pastGamesOption = interaction.options.getInteger('pastgames');
+            const pageCount = Math.max(1, Math.ceil(session.results.length / PLAYER_SEARCH_PAGE_SIZE));
+            session.page = customId.startsWith('players_next_') ?
+            Math.min(session.page + 1, pageCount - 1) :
+            Math.max(session.page - 1, 0);
+            await interaction.update(buildPlayerSearchPage(sessionId, session));
+        } catch (error) {
+            console.error("Error changing player search page:", error);
+            try {
+                const errorMessage = { content: "An error occurred while changing the page.", ephemeral: true };
+                if (interaction.deferred || interaction.replied) {
+                    await interaction.followUp(errorMessage);
+                } else {
+                    await interaction.reply(errorMessage);
+                }
+            } catch (e) {
+                console.error("Failed to send error message:", e);
+            }
+        }
+    }
 
-            // Defer reply to buy time for the database operation
-            await interaction.deferReply();
+    // Handle leaderboard page buttons
+    else if (customId.startsWith('leaderboard_')) {
+        // leaderboard_<action>_<userId>_<page>_<pageSize>_<minGames>_<nationality or ->
+        const parts = customId.split('_');
+        const action = parts[1];
+        const userId = parts[2];
+        const page = parseInt(parts[3], 10);
+        const filters = {
+            pageSize: parseInt(parts[4], 10),
+            minGames: parseInt(parts[5], 10),
+            nationality: parts.slice(6).join('_') === '-' ? null : parts.slice(6).join('_')
+        };
 
-            try {
-                // First query to get the existing record - with explicit type for steamid
-                const selectQuery = `
-                SELECT *
-                FROM \`Main.rankings\`
-                WHERE steamid = @steamid
-                ORDER BY timestamp DESC
-                LIMIT 1
-                `;
-
-                const selectOptions = {
-                    query: selectQuery,
-          params: { steamid: steamId },
-          types: { steamid: 'STRING' }
-                };
+        // Only the user who opened the leaderboard can page through it
+        if (interaction.user.id !== userId) {
+            await interaction.reply({
+                content: "Use /leaderboard to browse the leaderboard yourself.",
+                ephemeral: true
+            });
+            return;
+        }
+
+        try {
+            // Acknowledge the click right away, the query can take a few seconds
+            await interaction.deferUpdate();
 
-                const [rows] = await bigqueryClient.query(selectOptions);
+            const allRanks = await getAllRanksData();
 
-                if (rows.length === 0) {
-                    await interaction.editReply({
-                        content: `Error: No player found with Steam ID ${steamId}`
+            if (action === 'me') {
+                const playerData = findPlayerForDiscordUser(interaction.user, allRanks);
+                const players = filterLeaderboardPlayers(allRanks, filters);
+                const index = playerData ? players.findIndex(player => player.steamid === playerData.steamid) : -1;
+
+                if (index === -1) {
+                    await interaction.followUp({
+                        content: playerData
+                        ? "Could not find you on this leaderboard. You may be unranked or filtered out."
+                        : describeMissingSelf(interaction.user),
+                        ephemeral: true
                     });
                     return;
                 }
 
-                const selectedRow = rows[0];
-                const oldRating = selectedRow.elo;
-
-                // Insert query with the updated rating - with explicit types for all parameters
-                const insertQuery = `
-                INSERT INTO \`Main.rankings\` (name, steamid, elo, timestamp, nationality, pastgames)
-                VALUES (@name, @steamid, @elo, @timestamp, @nationality, @pastgames)
-                `;
-
-                const insertOptions = {
-                    query: insertQuery,
-          params: {
-              name: selectedRow.name,
-          steamid: selectedRow.steamid,
-          elo: newRating,
-          timestamp: Math.floor(Date.now() / 1000),
-          nationality: selectedRow.nationality,
-          pastgames: pastGamesOption !== null ? pastGamesOption : (selectedRow.pastgames || 0)
-          },
-          // Explicitly specify types for all parameters to handle null values
-          types: {
-              name: 'STRING',
-          steamid: 'STRING',
-          elo: 'INT64',
-          timestamp: 'INT64',
-          nationality: 'STRING',
-          pastgames: 'INT64'
-          }
-                };
-
-                const [insertResponse] = await bigqueryClient.query(insertOptions);
-
-                // Determine if pastgames was updated
-                const oldPastGames = selectedRow.pastgames || 0;
-                const newPastGames = pastGamesOption !== null ? pastGamesOption : oldPastGames;
-                const pastGamesUpdated = pastGamesOption !== null;
+                await interaction.editReply(buildLeaderboardPage(allRanks, filters, Math.floor(index / filters.pageSize), userId, playerData.steamid));
+                return;
+            }
 
-                // Send success message
-                let successMessage = `✅ Player **${selectedRow.name}** (${steamId}) rating has been changed from ${oldRating} to ${newRating}.`;
+            const newPage = action === 'prev' ? page - 1 : page + 1;
+            await interaction.editReply(buildLeaderboardPage(allRanks, filters, newPage, userId));
+        } catch (error) {
+            console.error("Error updating leaderboard page:", error);
+            try {
+                await interaction.followUp({ content: "An error occurred while fetching the leaderboard.", ephemeral: true });
+            } catch (e) {
+                console.error("Failed to send error message:", e);
+            }
+        }
+    }
 
-                // Add information about pastgames if it was updated
-                if (pastGamesUpdated) {
-                    successMessage += `\nGames played count has been changed from ${oldPastGames} to ${newPastGames}.`;
-                }
+    // Handle the Steam link verification button
+    else if (customId.startsWith('link_verify_')) {
+        const userId = customId.split('_')[2];
 
-                successMessage += `\n\nRanks channels will be updated shortly.`;
+        try {
+            if (interaction.user.id !== userId) {
+                await interaction.reply({
+                    content: "Use /link to link your own account.",
+                    ephemeral: true
+                });
+                return;
+            }
 
-                await interaction.editReply({
-                    content: successMessage
+            const pendingLink = accountLinks.pending[userId];
+            if (!pendingLink || Date.now() - pendingLink.createdAt > LINK_CODE_TTL) {
+                await interaction.update({
+                    content: "This verification code has expired. Run /link again to get a new one.",
+                    components: []
                 });
+                return;
+            }
 
-                // Log the action
-                console.log(`Rating changed for player ${selectedRow.name} (${steamId}) from ${oldRating} to ${newRating} by ${interaction.user.tag} (${interaction.user.id})`);
+            await interaction.deferUpdate();
 
-                // Announce in admin channels
-                for (const channelId of configChannels) {
-                    try {
-                        const channel = await client.channels.fetch(channelId);
-                        if (channel) {
-                            let announcementMessage = `⚠️ **RATING CHANGE**: Player **${selectedRow.name}** (${steamId}) rating has been manually changed from ${oldRating} to ${newRating} by ${interaction.user.tag}`;
+            const personaName = await getSteamPersonaName(pendingLink.steamid);
+            if (!personaName || !personaName.includes(pendingLink.code)) {
+                await interaction.followUp({
+                    content: `Could not find **${pendingLink.code}** in the Steam profile name${personaName ? ` (currently "${personaName}")` : ''}. Steam can take a minute to update, try again shortly.`,
+                    ephemeral: true
+                });
+                return;
+            }
 
-                            // Add information about pastgames if it was updated
-                            if (pastGamesUpdated) {
-                                announcementMessage += `\nGames played count has been changed from ${oldPastGames} to ${newPastGames}.`;
-                            }
+            setAccountLink(userId, pendingLink.steamid, { verified: true });
+            console.log(`Steam ID ${pendingLink.steamid} verified and linked to ${interaction.user.tag} (${userId})`);
 
-                            await channel.send(announcementMessage);
-                        }
-                    } catch (error) {
-                        console.error(`Error sending rating change announcement to channel ${channelId}:`, error);
-                    }
+            await interaction.editReply({
+                content: `✅ Verified! Your Discord account is now linked to Steam ID ${pendingLink.steamid}. You can change your Steam name back.`,
+                components: []
+            });
+        } catch (error) {
+            console.error("Error verifying Steam link:", error);
+            try {
+                const errorMessage = { content: "An error occurred while verifying your Steam account.", ephemeral: true };
+                if (interaction.deferred || interaction.replied) {
+                    await interaction.followUp(errorMessage);
+                } else {
+                    await interaction.reply(errorMessage);
                 }
+            } catch (e) {
+                console.error("Failed to send error message:", e);
+            }
+        }
+    }
 
-                // Update all ranks channels
-                for (const channelId of ranksChannels) {
-                    await updateRanks(channelId);
-                }
-            } catch (error) {
-                console.error("Error in database operation:", error);
-                await interaction.editReply({
-                    content: `Error: ${error.message || 'Failed to set player rating'}`
+    // Handle cancel buttons of destructive admin actions
+    else if (customId.startsWith('cancel_action_')) {
+        const actionId = customId.substring('cancel_action_'.length);
+        const action = pendingActions.actions[actionId];
+
+        try {
+            if (!action) {
+                await interaction.reply({
+                    content: "This confirmation has expired or was already processed.",
+                    ephemeral: true
                 });
+                return;
             }
-        } catch (error) {
-            console.error("Error in set_rating command:", error);
 
-            // Check if we've already replied
-            if (interaction.deferred || interaction.replied) {
-                await interaction.editReply({
-                    content: "An error occurred while setting player rating. Check the server logs for details."
-                });
-            } else {
+            // The admin who started the action or any other admin can cancel it
+            if (interaction.user.id !== action.userId && !isAdminMember(interaction.member)) {
                 await interaction.reply({
-                    content: "An error occurred while setting player rating. Check the server logs for details.",
+                    content: "Only admins can cancel this action.",
                     ephemeral: true
                 });
+                return;
+            }
+
+            removePendingAction(actionId);
+            console.log(`${action.type} ${action.id} cancelled by ${interaction.user.tag} (${interaction.user.id})`);
+
+            // Update the message to indicate cancellation
+            await interaction.update({
+                content: `❌ ${confirmableActions[action.type].name} cancelled by ${interaction.user.tag}.`,
+                components: []
+            });
+        } catch (error) {
+            console.error("Error cancelling pending action:", error);
+            try {
+                const errorMessage = { content: "An error occurred while cancelling the action.", ephemeral: true };
+                if (interaction.deferred || interaction.replied) {
+                    await interaction.followUp(errorMessage);
+                } else {
+                    await interaction.reply(errorMessage);
+                }
+            } catch (e) {
+                console.error("Failed to send error message:", e);
             }
         }
     }
 });
 
-// Handle guild join/update events
-client.on(Events.GuildCreate, async guild => {
-    console.log(`Joined new guild: ${guild.name}`);
-    await registerGuildCommands(guild);
-});
+// Player options that offer autocomplete
+const PLAYER_AUTOCOMPLETE_OPTIONS = ['steamid', 'name', 'player', 'player1', 'player2'];
 
-// When a guild role is updated, check if it's our admin role
-client.on(Events.GuildRoleUpdate, async (oldRole, newRole) => {
-    if (newRole.id === ADMIN_ROLE_ID) {
-        console.log(`Admin role updated in guild ${newRole.guild.name}`);
-        await registerGuildCommands(newRole.guild);
+// Handle autocomplete for player name and Steam ID options
+client.on(Events.InteractionCreate, async interaction => {
+    if (!interaction.isAutocomplete()) return;
+
+    try {
+        const focusedOption = interaction.options.getFocused(true);
+
+        if (PLAYER_AUTOCOMPLETE_OPTIONS.includes(focusedOption.name)) {
+            await interaction.respond(getPlayerAutocompleteChoices(focusedOption.value));
+        } else if (focusedOption.name === 'flag' || focusedOption.name === 'nationality') {
+            await interaction.respond(getNationalityChoices(focusedOption.value));
+        } else if (focusedOption.name === 'season') {
+            // Most recent seasons first
+            const search = focusedOption.value.toLowerCase();
+            const choices = seasonArchive.seasons
+            .filter(season => season.name.toLowerCase().includes(search))
+            .reverse()
+            .slice(0, 25)
+            .map(season => ({ name: season.name, value: season.name }));
+            await interaction.respond(choices);
+        }
+    } catch (error) {
+        console.error("Error responding to autocomplete:", error);
     }
 });
 
+// Commands that continue once the user picked a player from promptPlayerSelection
+const playerSelectionHandlers = {
+    rank: (interaction, playerData, context) => replyWithPlayerRank(interaction, playerData, context),
+    history: (interaction, playerData, context) => replyWithMatchHistory(interaction, playerData, context.count),
+    set_elo_zero: (interaction, playerData, context) => requestSetEloZero(interaction, playerData, context),
+    nationality: (interaction, playerData, context) => applyNationalityCommand(interaction, playerData, context),
+    compare: async (interaction, playerData, context) => {
+        const queries = [...context.queries];
+        queries[context.slot] = playerData.steamid;
+        await replyWithComparison(interaction, await getAllRanksData(), queries);
+    },
+};
 
-// Add a handler for button interactions in the InteractionCreate event
+// Handle player select menus
 client.on(Events.InteractionCreate, async interaction => {
-    if (!interaction.isButton()) return;
-
-    const customId = interaction.customId;
+    if (!interaction.isStringSelectMenu()) return;
+    if (!interaction.customId.startsWith('select_player_')) return;
 
-    // Handle reset confirmation buttons
-    if (customId.startsWith('confirm_reset_')) {
-        // Extract user ID and default ELO from the custom ID
-        const parts = customId.split('_');
-        const userId = parts[2];
-        const defaultElo = parseInt(parts[3], 10);
+    const selectionId = interaction.customId.substring('select_player_'.length);
+    const selection = pendingPlayerSelections.get(selectionId);
 
-        // Check if this is the user who initiated the reset
-        if (interaction.user.id !== userId) {
-            await interaction.reply({
-                content: "Only the user who initiated the reset can confirm it.",
-                ephemeral: true
+    try {
+        if (!selection || selection.expiresAt < Date.now()) {
+            await interaction.update({
+                content: "This selection has expired. Please run the command again.",
+                components: []
             });
             return;
         }
 
-        // Check if we have a pending reset for this user
-        const pendingRequest = pendingResetConfirmations.get(userId);
-        if (!pendingRequest) {
+        // Only the user who ran the command can pick
+        if (interaction.user.id !== selection.userId) {
             await interaction.reply({
-                content: "This reset confirmation has expired or was already processed.",
+                content: "Only the user who ran the command can choose a player.",
                 ephemeral: true
             });
             return;
         }
 
-        // Remove the pending request
-        pendingResetConfirmations.delete(userId);
-
-        // Update the message to indicate processing
-        await interaction.update({
-            content: "Processing reset... Please wait.",
-            components: []
-        });
-
-        try {
-            // Call our backend function
-            const result = await resetRanksViaBackend(defaultElo);
-
-            // fake calling the backend function
-            // const result = {
-            //     success: true,
-            //     message: "Reset command is currently disabled. This is just a simulation."
-            // };
-
-            if (result.success) {
-                // Send success message
-                await interaction.editReply({
-                    content: `🔄 All player ranks have been reset to ${defaultElo} ELO with 0 past games.\n\nRanks channels will be updated shortly.`
-                });
-
-                // Log the action
-                console.log(`Ranks reset to ${defaultElo} by ${interaction.user.tag} (${interaction.user.id})`);
-
-                // Announce in admin channels
-                for (const channelId of configChannels) {
-                    try {
-                        const channel = await client.channels.fetch(channelId);
-                        if (channel) {
-                            await channel.send(`🔄 **RANKS RESET**: All player ranks have been reset to ${defaultElo} by ${interaction.user.tag}`);
-                        }
-                    } catch (error) {
-                        console.error(`Error sending reset announcement to channel ${channelId}:`, error);
-                    }
-                }
+        pendingPlayerSelections.delete(selectionId);
 
-                // Update all ranks channels
-                for (const channelId of ranksChannels) {
-                    await updateRanks(channelId);
-                }
-            } else {
-                await interaction.editReply(`Error: ${result.message || 'Failed to reset ranks'}`);
-            }
-        } catch (error) {
-            console.error("Error processing reset after confirmation:", error);
-            await interaction.editReply({
-                content: "An error occurred while resetting ranks. Check the server logs for details."
-            });
-        }
-    }
+        await interaction.update({ content: "Fetching player information...", components: [] });
 
-    // Handle cancel button
-    else if (customId.startsWith('cancel_reset_')) {
-        // Extract user ID from the custom ID
-        const userId = customId.split('_')[2];
+        const allRanks = await getAllRanksData();
+        const playerData = allRanks.find(player => player.steamid === interaction.values[0]);
 
-        // Check if this is the user who initiated the reset
-        if (interaction.user.id !== userId) {
-            await interaction.reply({
-                content: "Only the user who initiated the reset can cancel it.",
-                ephemeral: true
-            });
+        if (!playerData) {
+            await interaction.editReply({ content: "That player is no longer in the rankings." });
             return;
         }
 
-        // Check if we have a pending reset for this user
-        const pendingRequest = pendingResetConfirmations.get(userId);
-        if (!pendingRequest) {
-            await interaction.reply({
-                content: "This reset confirmation has expired or was already processed.",
-                ephemeral: true
-            });
-            return;
+        await playerSelectionHandlers[selection.commandName](interaction, playerData, selection.context);
+    } catch (error) {
+        console.error(`Error continuing ${selection ? selection.commandName : 'command'} after player selection:`, error);
+        try {
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply({ content: "An error occurred while processing your selection." });
+            } else {
+                await interaction.reply({ content: "An error occurred while processing your selection.", ephemeral: true });
+            }
+        } catch (e) {
+            console.error("Failed to send error message:", e);
         }
-
-        // Remove the pending request
-        pendingResetConfirmations.delete(userId);
-
-        // Update the message to indicate cancellation
-        await interaction.update({
-            content: "❌ Reset cancelled.",
-            components: []
-        });
     }
 });
 
@@ -1429,5 +6296,27 @@ async function fetchKValueConfig() {
     }
 }
 
-// Login to Discord with your token from .env
-client.login(process.env.DISCORD_TOKEN);
+// Load the stores from the bucket before taking any update requests or Discord events
+async function start() {
+    await loadJsonStoresFromBucket();
+
+    // Start the server
+    app.listen(process.env.PORT || 8080, () => {
+        console.log(`Server running on port ${process.env.PORT || 8080}`);
+    });
+
+    // Login to Discord with your token from .env
+    await client.login(process.env.DISCORD_TOKEN);
+}
+
+start().catch(error => {
+    console.error('Error starting the bot:', error);
+    process.exit(1);
+});
+
+// App Engine stops instances with SIGTERM, give the last writes a moment to reach the bucket
+process.on('SIGTERM', async () => {
+    console.log('Shutting down, waiting for bucket uploads');
+    await flushBucketUploads(10000);
+    process.exit(0);
+});